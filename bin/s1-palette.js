@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+/**
+ * s1-palette: generate a Studio One `.colorpalette` from an image on the
+ * command line. Accepts the same settings as the web app.
+ *
+ *   s1-palette cover.jpg --type triadic --colors-per-group 8 --seed 42
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { basename, extname, join, dirname } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  colorMetrics,
+  contrastStandards,
+  cvdTypes,
+  countGridGaps,
+  countSwatches,
+  dawProfiles,
+  defaultSettings,
+  exportForDaw,
+  exportFormats,
+  generatePaletteRows,
+  harmonizeModels,
+  MAX_SEED,
+  paletteTypes,
+  parseHarmonizeModels,
+  parseHueCategories,
+  rampSpaces,
+  randomSeed,
+} from "../src/index.js";
+import { loadImagePixels } from "../src/node.js";
+
+const usage = `Usage: s1-palette [options] <image...>
+
+Generates a Studio One .colorpalette file (or another --format) from each PNG
+or JPEG image.
+
+Options:
+  -o, --output <file>          Output file (only with a single image).
+                               Default: <image name>.<format extension> next to the image
+  -f, --format <name>          ${Object.keys(exportFormats).join(" | ")}
+                               or a DAW profile: ${Object.keys(dawProfiles).join(" | ")}
+                               (default: colorpalette)
+  -m, --method <name>          categorical | dominant (default: ${defaultSettings.extractionMethod})
+  -t, --type <name>            ${paletteTypes.join(" | ")}
+                               (default: ${defaultSettings.paletteType})
+  -n, --colors-per-group <n>   Colors per group, 3-20 (default: ${defaultSettings.colorsPerHue})
+      --size <n>               Exact total number of colors, 1-256, shared out
+                               between the rows instead of --colors-per-group
+      --columns <n>            Studio One color picker width, 1-32; with --size,
+                               rows fill whole picker lines when possible
+                               (default: ${defaultSettings.gridColumns})
+  -d, --dominant-colors <n>    Dominant colors for the dominant method, 1-16 (default: ${defaultSettings.dominantColorCount})
+  -H, --harmonize <name>       ${Object.keys(harmonizeModels).join(" | ")}
+                               or a model from --models (default: ${defaultSettings.harmonizeModel})
+      --models <file>          Harmonization models exported from the web app (JSON)
+      --hue-shift <deg>        On a built-in model: rotate hues, -180 to 180
+      --temperature <n>        On a built-in model: -1 (cool) to 1 (warm)
+      --key-hue <deg>          On a built-in model: hue to pull hues toward, 0-360
+      --key-strength <n>       On a built-in model: how far --key-hue pulls, 0-1
+  -s, --similarity <n>         Similarity filter, 0-30 (default: ${defaultSettings.similarityThreshold})
+      --metric <name>          ${Object.keys(colorMetrics).join(" | ")}
+                               (default: ${defaultSettings.colorMetric})
+      --ramp-space <name>      ${Object.keys(rampSpaces).join(" | ")}: space ramps are built and
+                               interpolated in (default: ${defaultSettings.rampSpace})
+      --adaptive               Auto-adjust the similarity threshold
+      --categories <file>      Hue category set saved from the web app (JSON)
+      --no-fill-missing-hues   Skip hue categories the image does not contain
+      --keep-neutrals          Keep black, white and grey pixels
+      --fix-contrast <name>    ${Object.keys(contrastStandards).join(" | ")}: adjust the lightness of
+                               colors where neither white nor black track
+                               names pass that standard
+      --cvd-safe <type>        ${Object.keys(cvdTypes).join(" | ")}:
+                               spread colors that look alike with that color
+                               vision deficiency
+      --seed <n>               Seed for reproducible output (default: random)
+  -h, --help                   Show this help
+`;
+
+class UsageError extends Error {}
+
+const parseInteger = (name, value, min, max) => {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    throw new UsageError(`--${name} must be an integer from ${min} to ${max}.`);
+  }
+  return n;
+};
+
+const parseNumber = (name, value, min, max) => {
+  const n = Number(value);
+  if (value === "" || !Number.isFinite(n) || n < min || n > max) {
+    throw new UsageError(`--${name} must be a number from ${min} to ${max}.`);
+  }
+  return n;
+};
+
+const parseChoice = (name, value, choices) => {
+  if (!choices.includes(value)) {
+    throw new UsageError(`--${name} must be one of: ${choices.join(", ")}.`);
+  }
+  return value;
+};
+
+// Reads a JSON file with `parse`, reporting problems against `flag`
+const readJsonOption = async (flag, path, parse) => {
+  try {
+    return parse(await readFile(path, "utf8"));
+  } catch (err) {
+    throw new UsageError(`--${flag} ${path}: ${err.message}`);
+  }
+};
+
+const parseSettings = (values, customModels = {}) => {
+  const settings = { ...defaultSettings };
+
+  if (values.method !== undefined) {
+    const method = parseChoice("method", values.method, [
+      "categorical",
+      "dominant",
+      "complementary",
+    ]);
+    // The UI calls the k-means method "complementary"
+    settings.extractionMethod =
+      method === "dominant" ? "complementary" : method;
+  }
+  if (values.type !== undefined) {
+    settings.paletteType = parseChoice("type", values.type, paletteTypes);
+  }
+  if (values["colors-per-group"] !== undefined) {
+    settings.colorsPerHue = parseInteger(
+      "colors-per-group",
+      values["colors-per-group"],
+      3,
+      20
+    );
+  }
+  if (values.size !== undefined) {
+    settings.targetSize = parseInteger("size", values.size, 1, 256);
+    settings.exactSize = true;
+  }
+  if (values.columns !== undefined) {
+    settings.gridColumns = parseInteger("columns", values.columns, 1, 32);
+  }
+  if (values["dominant-colors"] !== undefined) {
+    settings.dominantColorCount = parseInteger(
+      "dominant-colors",
+      values["dominant-colors"],
+      1,
+      16
+    );
+  }
+  if (values.harmonize !== undefined) {
+    const name = parseChoice("harmonize", values.harmonize, [
+      ...Object.keys(harmonizeModels),
+      ...Object.keys(customModels),
+    ]);
+    settings.harmonizeModel = customModels[name] ?? name;
+  }
+  // Hue overrides for built-in models, in the units of presetHueParams
+  const presetHue = {};
+  if (values["hue-shift"] !== undefined) {
+    presetHue.hue_shift =
+      parseNumber("hue-shift", values["hue-shift"], -180, 180) / 360;
+  }
+  if (values.temperature !== undefined) {
+    presetHue.temperature = parseNumber(
+      "temperature",
+      values.temperature,
+      -1,
+      1
+    );
+  }
+  if (values["key-hue"] !== undefined) {
+    presetHue.key_hue = parseNumber("key-hue", values["key-hue"], 0, 360) / 360;
+  }
+  if (values["key-strength"] !== undefined) {
+    presetHue.key_strength = parseNumber(
+      "key-strength",
+      values["key-strength"],
+      0,
+      1
+    );
+  }
+  if (Object.keys(presetHue).length > 0) {
+    const model = settings.harmonizeModel;
+    if (typeof model !== "string" || model === "none") {
+      throw new UsageError(
+        "--hue-shift, --temperature, --key-hue and --key-strength only apply " +
+          "to a built-in model other than none; set the hue params of a " +
+          "model from --models in the web app."
+      );
+    }
+    settings.presetHue = { [model]: presetHue };
+  }
+  if (values.similarity !== undefined) {
+    settings.similarityThreshold = parseInteger(
+      "similarity",
+      values.similarity,
+      0,
+      30
+    );
+  }
+  if (values.metric !== undefined) {
+    settings.colorMetric = parseChoice(
+      "metric",
+      values.metric,
+      Object.keys(colorMetrics)
+    );
+  }
+  if (values["ramp-space"] !== undefined) {
+    settings.rampSpace = parseChoice(
+      "ramp-space",
+      values["ramp-space"],
+      Object.keys(rampSpaces)
+    );
+  }
+  if (values["fix-contrast"] !== undefined) {
+    settings.contrastStandard = parseChoice(
+      "fix-contrast",
+      values["fix-contrast"],
+      Object.keys(contrastStandards)
+    );
+    settings.fixContrast = true;
+  }
+  if (values["cvd-safe"] !== undefined) {
+    settings.cvdSafe = parseChoice(
+      "cvd-safe",
+      values["cvd-safe"],
+      Object.keys(cvdTypes)
+    );
+  }
+  settings.useAdaptiveThreshold = values.adaptive;
+  settings.fillMissingHues = !values["no-fill-missing-hues"];
+  settings.excludeNeutrals = !values["keep-neutrals"];
+  settings.seed =
+    values.seed !== undefined
+      ? parseInteger("seed", values.seed, 0, MAX_SEED)
+      : randomSeed();
+
+  return settings;
+};
+
+const outputPathFor = (input, extension) =>
+  join(dirname(input), `${basename(input, extname(input))}.${extension}`);
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      output: { type: "string", short: "o" },
+      format: { type: "string", short: "f" },
+      method: { type: "string", short: "m" },
+      type: { type: "string", short: "t" },
+      "colors-per-group": { type: "string", short: "n" },
+      size: { type: "string" },
+      columns: { type: "string" },
+      "dominant-colors": { type: "string", short: "d" },
+      harmonize: { type: "string", short: "H" },
+      similarity: { type: "string", short: "s" },
+      metric: { type: "string" },
+      "ramp-space": { type: "string" },
+      categories: { type: "string" },
+      models: { type: "string" },
+      "hue-shift": { type: "string" },
+      temperature: { type: "string" },
+      "key-hue": { type: "string" },
+      "key-strength": { type: "string" },
+      adaptive: { type: "boolean", default: false },
+      "no-fill-missing-hues": { type: "boolean", default: false },
+      "keep-neutrals": { type: "boolean", default: false },
+      "fix-contrast": { type: "string" },
+      "cvd-safe": { type: "string" },
+      seed: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    process.stdout.write(usage);
+    return;
+  }
+  if (positionals.length === 0) {
+    throw new UsageError("No input image given.");
+  }
+  if (values.output && positionals.length > 1) {
+    throw new UsageError("--output can only be used with a single image.");
+  }
+
+  const customModels =
+    values.models !== undefined
+      ? await readJsonOption("models", values.models, parseHarmonizeModels)
+      : {};
+  const format = parseChoice(
+    "format",
+    values.format ?? "colorpalette",
+    [...Object.keys(exportFormats), ...Object.keys(dawProfiles)]
+  );
+  const settings = parseSettings(values, customModels);
+  if (values.categories !== undefined) {
+    settings.hueCategories = await readJsonOption(
+      "categories",
+      values.categories,
+      parseHueCategories
+    );
+  }
+
+  for (const input of positionals) {
+    const pixels = await loadImagePixels(input);
+    const rows = generatePaletteRows(pixels, settings);
+    const profile = dawProfiles[format] ?? exportFormats[format];
+    const output = values.output ?? outputPathFor(input, profile.extension);
+    const options = {
+      name: basename(input, extname(input)),
+      seed: settings.seed,
+    };
+    const { data, rows: written = rows, dropped = [] } = dawProfiles[format]
+      ? exportForDaw(rows, format, options)
+      : { data: profile.serialize(rows, options) };
+    await writeFile(output, data);
+    process.stderr.write(
+      `${input} -> ${output} (${countSwatches(written)} colors, seed ${
+        settings.seed
+      })\n`
+    );
+    const gaps = countGridGaps(countSwatches(written), settings.gridColumns);
+    if (format === "colorpalette" && gaps > 0) {
+      process.stderr.write(
+        `  ${gaps} empty slot${gaps === 1 ? "" : "s"} in the last line of a ${
+          settings.gridColumns
+        }-column picker\n`
+      );
+    }
+    if (dropped.length > 0) {
+      const names = dropped.map(({ row, index }) => `${row} ${index + 1}`);
+      process.stderr.write(
+        `  ${profile.label} takes ${profile.maxColors} colors; left out: ${names.join(
+          ", "
+        )}\n`
+      );
+    }
+  }
+};
+
+main().catch((err) => {
+  process.stderr.write(`s1-palette: ${err.message}\n`);
+  if (err instanceof UsageError || err.code?.startsWith("ERR_PARSE_ARGS")) {
+    process.stderr.write("Run s1-palette --help for usage.\n");
+  }
+  process.exitCode = 1;
+});
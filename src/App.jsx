@@ -8,539 +8,92 @@
  * Dive in, play with the settings, and craft a palette that feels uniquely yours. Have fun and enjoy!
  */
 
-import React, { useState, useEffect, useRef } from "react";
-
-// Improved color conversion functions
-const rgbToHex = (r, g, b) => {
-  const toHex = (c) => `0${c.toString(16)}`.slice(-2);
-  return `#${toHex(r)}${toHex(g)}${toHex(b)}`.toUpperCase();
-};
-
-const rgbToHsl = (r, g, b) => {
-  r /= 255;
-  g /= 255;
-  b /= 255;
-  const max = Math.max(r, g, b),
-    min = Math.min(r, g, b);
-  let h,
-    s,
-    l = (max + min) / 2;
-
-  if (max === min) {
-    h = s = 0;
-  } else {
-    const d = max - min;
-    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-    switch (max) {
-      case r:
-        h = (g - b) / d + (g < b ? 6 : 0);
-        break;
-      case g:
-        h = (b - r) / d + 2;
-        break;
-      case b:
-        h = (r - g) / d + 4;
-        break;
-    }
-    h /= 6;
-  }
-  return [h, s, l];
-};
-
-const hslToRgb = (h, s, l) => {
-  let r, g, b;
-  if (s === 0) {
-    r = g = b = l;
-  } else {
-    const hue2rgb = (p, q, t) => {
-      if (t < 0) t += 1;
-      if (t > 1) t -= 1;
-      if (t < 1 / 6) return p + (q - p) * 6 * t;
-      if (t < 1 / 2) return q;
-      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
-      return p;
-    };
-    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-    const p = 2 * l - q;
-    r = hue2rgb(p, q, h + 1 / 3);
-    g = hue2rgb(p, q, h);
-    b = hue2rgb(p, q, h - 1 / 3);
-  }
-  return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)];
-};
-
-
-
-const harmonizeColors = (colors, model) => {
-  const models = {
-    "70s": {
-      l_mult: 0.85,
-      s_mult: 0.7,
-      l_shift: 0.1,
-      s_shift: 0.0,
-      l_range: [0.3, 0.7],
-      s_range: [0.4, 0.8],
-    },
-    "80s": {
-      l_mult: 1.2,
-      s_mult: 1.3,
-      l_shift: 0.0,
-      s_shift: 0.1,
-      l_range: [0.4, 0.9],
-      s_range: [0.6, 1.0],
-    },
-    vibrant: {
-      l_mult: 1.0,
-      s_mult: 1.4,
-      l_shift: 0.0,
-      s_shift: 0.2,
-      l_range: [0.3, 0.8],
-      s_range: [0.7, 1.0],
-    },
-    neon: {
-      l_mult: 1.3,
-      s_mult: 1.5,
-      l_shift: 0.1,
-      s_shift: 0.3,
-      l_range: [0.6, 1.0],
-      s_range: [0.8, 1.0],
-    },
-    pastel: {
-      l_mult: 1.2,
-      s_mult: 0.5,
-      l_shift: 0.2,
-      s_shift: 0.0,
-      l_range: [0.7, 0.95],
-      s_range: [0.2, 0.6],
-    },
-    earthy: {
-      l_mult: 0.9,
-      s_mult: 0.7,
-      l_shift: 0.0,
-      s_shift: -0.1,
-      l_range: [0.2, 0.6],
-      s_range: [0.3, 0.7],
-    },
-    jewel: {
-      l_mult: 0.8,
-      s_mult: 1.2,
-      l_shift: 0.0,
-      s_shift: 0.1,
-      l_range: [0.3, 0.7],
-      s_range: [0.8, 1.0],
-    },
-    none: {
-      l_mult: 1.0,
-      s_mult: 1.0,
-      l_shift: 0.0,
-      s_shift: 0.0,
-    },
-  };
-
-  const params = models[model] || models.none;
-
-  return colors.map((color) => {
-    let [h, s, l] = rgbToHsl(...color);
-
-    if (params.l_mult) l = l * params.l_mult + params.l_shift;
-    if (params.s_mult) s = s * params.s_mult + params.s_shift;
-
-    if (params.l_range)
-      l = Math.max(params.l_range[0], Math.min(params.l_range[1], l));
-    if (params.s_range)
-      s = Math.max(params.s_range[0], Math.min(params.s_range[1], s));
-
-    l = Math.min(1.0, Math.max(0.0, l));
-    s = Math.min(1.0, Math.max(0.0, s));
-
-    return hslToRgb(h, s, l);
-  });
-};
-
-const rgbToLab = (r, g, b) => {
-  let x = r / 255;
-  let y = g / 255;
-  let z = b / 255;
-
-  x = x > 0.04045 ? Math.pow((x + 0.055) / 1.055, 2.4) : x / 12.92;
-  y = y > 0.04045 ? Math.pow((y + 0.055) / 1.055, 2.4) : y / 12.92;
-  z = z > 0.04045 ? Math.pow((z + 0.055) / 1.055, 2.4) : z / 12.92;
-
-  x *= 100;
-  y *= 100;
-  z *= 100;
-
-  let X = x * 0.4124 + y * 0.3576 + z * 0.1805;
-  let Y = x * 0.2126 + y * 0.7152 + z * 0.0722;
-  let Z = x * 0.0193 + y * 0.1192 + z * 0.9505;
-
-  X /= 95.047;
-  Y /= 100.0;
-  Z /= 108.883;
-
-  X = X > 0.008856 ? Math.pow(X, 1 / 3) : 7.787 * X + 16 / 116;
-  Y = Y > 0.008856 ? Math.pow(Y, 1 / 3) : 7.787 * Y + 16 / 116;
-  Z = Z > 0.008856 ? Math.pow(Z, 1 / 3) : 7.787 * Z + 16 / 116;
-
-  return [
-    116 * Y - 16, // L
-    500 * (X - Y), // A
-    200 * (Y - Z), // B
-  ];
-};
-
-const deltaE = (color1, color2) => {
-  const [L1, a1, b1] = rgbToLab(...color1);
-  const [L2, a2, b2] = rgbToLab(...color2);
-  return Math.sqrt(
-    Math.pow(L2 - L1, 2) + Math.pow(a2 - a1, 2) + Math.pow(b2 - b1, 2)
-  );
-};
-
-const filterSimilarColors = (colors, threshold = 10) => {
-  if (colors.length <= 1) return colors;
-
-  const filtered = [colors[0]];
-
-  for (let i = 1; i < colors.length; i++) {
-    const color = colors[i];
-    let isSimilar = false;
-
-    for (let j = 0; j < filtered.length; j++) {
-      const existingColor = filtered[j];
-      const difference = deltaE(color, existingColor);
-
-      if (difference < threshold) {
-        isSimilar = true;
-        break;
-      }
-    }
-
-    if (!isSimilar) {
-      filtered.push(color);
-    }
-  }
-
-  return filtered;
-};
-
-const getMedianColor = (pixels) => {
-  if (pixels.length === 0) return [0, 0, 0];
-
-  // Calculate saturation and store along with pixel
-  const pixelsWithSat = pixels.map((p) => {
-    const [, s] = rgbToHsl(...p);
-    return { p, s };
-  });
-
-  // Sort by saturation descending
-  pixelsWithSat.sort((a, b) => b.s - a.s);
-
-  // Take the top 30% most saturated pixels (minimum 1, max all)
-  const topCount = Math.max(1, Math.floor(pixelsWithSat.length * 0.3));
-  const topPixels = pixelsWithSat.slice(0, topCount).map((item) => item.p);
-
-  // Return the median of this top subset
-  const rVals = topPixels.map((p) => p[0]).sort((a, b) => a - b);
-  const gVals = topPixels.map((p) => p[1]).sort((a, b) => a - b);
-  const bVals = topPixels.map((p) => p[2]).sort((a, b) => a - b);
-
-  const mid = Math.floor(topPixels.length / 2);
-  return [rVals[mid], gVals[mid], bVals[mid]];
-};
-
-const getWeightedSample = (pixels, sampleSize) => {
-  const sample = [];
-  const maxAttempts = sampleSize * 10;
-  let attempts = 0;
-
-  while (sample.length < sampleSize && attempts < maxAttempts) {
-    attempts++;
-    const p = pixels[Math.floor(Math.random() * pixels.length)];
-    if (!p) continue;
-    const [, s] = rgbToHsl(...p);
-    // Rejection sampling: accept with probability proportional to saturation
-    if (Math.random() < 0.15 + 0.85 * s) {
-      sample.push(p);
-    }
-  }
-
-  // Fallback to fill remaining slots
-  while (sample.length < sampleSize) {
-    sample.push(pixels[Math.floor(Math.random() * pixels.length)] || [0, 0, 0]);
-  }
-
-  return sample;
-};
-
-const kMeansClustering = (pixels, k, maxIterations = 10, sampleSize = 1000) => {
-  if (pixels.length === 0 || k === 0) return [];
-
-  const sampledPixels =
-    pixels.length > sampleSize
-      ? getWeightedSample(pixels, sampleSize)
-      : pixels;
-
-  let centroids = [
-    sampledPixels[Math.floor(Math.random() * sampledPixels.length)],
-  ];
-
-  for (let i = 1; i < k; i++) {
-    let distances = [];
-    let totalDistance = 0;
-
-    for (const pixel of sampledPixels) {
-      let minDistance = Infinity;
-
-      for (const centroid of centroids) {
-        const distance = deltaE(pixel, centroid);
-        minDistance = Math.min(minDistance, distance);
-      }
-
-      distances.push(minDistance);
-      totalDistance += minDistance;
-    }
-
-    let randomValue = Math.random() * totalDistance;
-    let cumulativeDistance = 0;
-
-    for (let j = 0; j < distances.length; j++) {
-      cumulativeDistance += distances[j];
-      if (cumulativeDistance >= randomValue) {
-        centroids.push(sampledPixels[j]);
-        break;
-      }
-    }
-  }
-
-  const startTime = performance.now();
-  const timeoutMs = 5000;
-
-  for (let iter = 0; iter < maxIterations; iter++) {
-    if (performance.now() - startTime > timeoutMs) {
-      console.warn(
-        "kMeansClustering timed out after 5 seconds. Returning current centroids."
-      );
-      return centroids;
-    }
-
-    const clusters = Array.from({ length: k }, () => []);
-
-    for (const pixel of sampledPixels) {
-      let minDistance = Infinity;
-      let clusterIndex = 0;
-
-      for (let i = 0; i < centroids.length; i++) {
-        const distance = deltaE(pixel, centroids[i]);
-        if (distance < minDistance) {
-          minDistance = distance;
-          clusterIndex = i;
-        }
-      }
-
-      clusters[clusterIndex].push(pixel);
-    }
-
-    let changed = false;
-    for (let i = 0; i < k; i++) {
-      if (clusters[i].length === 0) continue;
-
-      const newCentroid = getMedianColor(clusters[i]);
-      const oldCentroid = centroids[i];
-
-      if (deltaE(newCentroid, oldCentroid) > 1) {
-        centroids[i] = newCentroid;
-        changed = true;
-      }
-    }
-
-    if (!changed) break;
-  }
-
-  return centroids;
-};
-
-const getDominantColors = (pixels, count) => {
-  if (pixels.length < count) {
-    const result = [];
-    for (let i = 0; i < count; i++) {
-      result.push(
-        pixels[Math.floor(Math.random() * pixels.length)] || [0, 0, 0]
-      );
-    }
-    return result;
-  }
-
-  return kMeansClustering(pixels, count, 10, 1000);
-};
-
-const generateColorVariations = (baseColor, numVariations) => {
-  const variations = [];
-  const [baseH, baseS] = rgbToHsl(...baseColor);
-
-  for (let i = 0; i < numVariations; i++) {
-    const t = i / (numVariations - 1);
-    const varL = 0.15 + 0.7 * t;
-    const varH = (baseH + (Math.random() - 0.5) * 0.05) % 1;
-    const varS = Math.min(1, Math.max(0, baseS + (Math.random() - 0.5) * 0.1));
-    variations.push(hslToRgb(varH, varS, varL));
-  }
-
-  return variations.sort((a, b) => {
-    const [, , l1] = rgbToHsl(...a);
-    const [, , l2] = rgbToHsl(...b);
-    return l2 - l1;
-  });
-};
-
-const generateComplementaryPalette = (baseColor, numVariations) => {
-  const [h, s, l] = rgbToHsl(...baseColor);
-  const compH = (h + 0.5) % 1.0;
-
-  const baseVariations = generateColorVariations(
-    baseColor,
-    Math.ceil(numVariations / 2)
-  );
-  const compVariations = generateColorVariations(
-    hslToRgb(compH, s, l),
-    Math.floor(numVariations / 2)
-  );
-
-  return [...baseVariations, ...compVariations];
+import React, { useState, useEffect, useRef, useCallback } from "react";
+import { colorMetrics, rgbToHex } from "./color.js";
+import {
+  contrastReport,
+  contrastStandards,
+  fixColorContrast,
+} from "./contrast.js";
+import {
+  cvdTypes,
+  findCvdCollisions,
+  simulateCvd,
+  spreadForCvd,
+} from "./cvd.js";
+import { averageColorAt, defaultSettings, downscaledSize } from "./extract.js";
+import { parseColorPalette } from "./colorpalette.js";
+import { dawProfiles, exportForDaw } from "./dawProfiles.js";
+import { downloadBlob } from "./download.js";
+import { exportFormats, renderSwatchSheetSvg } from "./exportFormats.js";
+import {
+  harmonizeColors,
+  harmonizeModels,
+  mergeHarmonizeModels,
+  parseHarmonizeModels,
+  resolveHarmonizeModel,
+  serializeHarmonizeModels,
+} from "./harmonize.js";
+import { createLibraryEntry } from "./paletteLibrary.js";
+import { decodePermalink, encodePermalink } from "./permalink.js";
+import {
+  filterSimilarColors,
+  getAdaptiveThreshold,
+  rampSpaces,
+} from "./palette.js";
+import {
+  applyLocks,
+  countGridGaps,
+  countSwatches,
+  duplicateSwatch,
+  flattenRows,
+  insertSwatch,
+  isPinned,
+  moveSwatch,
+  removeSwatch,
+  toggleRowLock,
+  toggleSwatchPin,
+  updateSwatch,
+} from "./paletteRows.js";
+import { normalizeSeed, randomSeed, MAX_SEED } from "./random.js";
+import { clampSetting, parseSettings } from "./settings.js";
+import ContrastReport from "./ContrastReport.jsx";
+import ExportMenu from "./ExportMenu.jsx";
+import HistoryTimeline from "./HistoryTimeline.jsx";
+import HarmonizeModelEditor from "./HarmonizeModelEditor.jsx";
+import HueWheelEditor from "./HueWheelEditor.jsx";
+import PaletteLibrary from "./PaletteLibrary.jsx";
+import SeedColors from "./SeedColors.jsx";
+import SelectionEditor from "./SelectionEditor.jsx";
+import SourceImages from "./SourceImages.jsx";
+import StudioOnePreview from "./StudioOnePreview.jsx";
+import SwatchEditor from "./SwatchEditor.jsx";
+import VideoFrameSampler from "./VideoFrameSampler.jsx";
+import useLocalStorageState from "./useLocalStorageState.js";
+import usePaletteLibrary from "./usePaletteLibrary.js";
+import usePaletteHistory from "./usePaletteHistory.js";
+
+const harmonizeLabels = {
+  none: "None",
+  "70s": "70s",
+  "80s": "80s",
+  vibrant: "Vibrant",
+  neon: "Neon",
+  pastel: "Pastel",
+  earthy: "Earthy",
+  jewel: "Jewel Tones",
 };
 
-const generateTriadicPalette = (baseColor, numVariations) => {
-  const [h, s, l] = rgbToHsl(...baseColor);
-  const triadH1 = (h + 1 / 3) % 1.0;
-  const triadH2 = (h + 2 / 3) % 1.0;
-
-  const baseCount = Math.ceil(numVariations / 3);
-  const triad1Count = Math.floor((numVariations - baseCount) / 2);
-  const triad2Count = numVariations - baseCount - triad1Count;
-
-  const baseVariations = generateColorVariations(baseColor, baseCount);
-  const triad1Variations = generateColorVariations(
-    hslToRgb(triadH1, s, l),
-    triad1Count
-  );
-  const triad2Variations = generateColorVariations(
-    hslToRgb(triadH2, s, l),
-    triad2Count
-  );
+// Export menu entries; the PNG sheet is drawn from the SVG one in the browser
+const exportMenu = [
+  ...Object.entries(exportFormats).map(([key, { label }]) => [key, label]),
+  ["png", "Swatch sheet (.png)"],
+  ...Object.entries(dawProfiles).map(([key, { label }]) => [key, label]),
+];
 
-  return [...baseVariations, ...triad1Variations, ...triad2Variations];
-};
-
-const generateAnalogousPalette = (baseColor, numVariations) => {
-  const [h, s] = rgbToHsl(...baseColor);
-  const analogousRange = 0.08;
-
-  const variations = [];
-  for (let i = 0; i < numVariations; i++) {
-    const t = i / (numVariations - 1);
-    const varH = (h + analogousRange * (t - 0.5)) % 1;
-    const varL = 0.15 + 0.7 * t;
-    variations.push(hslToRgb(varH, s, varL));
-  }
-
-  return variations.sort((a, b) => {
-    const [, , l1] = rgbToHsl(...a);
-    const [, , l2] = rgbToHsl(...b);
-    return l2 - l1;
-  });
-};
-
-const generateMonochromaticPalette = (baseColor, numVariations) => {
-  const [h, s] = rgbToHsl(...baseColor);
-
-  const variations = [];
-  for (let i = 0; i < numVariations; i++) {
-    const t = i / (numVariations - 1);
-    const varL = 0.15 + 0.7 * t;
-    variations.push(hslToRgb(h, s, varL));
-  }
-
-  return variations;
-};
-
-const getAdaptiveThreshold = (colors, userThreshold) => {
-  if (colors.length < 10) return userThreshold;
-
-  const sampleSize = Math.min(colors.length, 30);
-  let totalDistance = 0;
-  let comparisons = 0;
-
-  for (let i = 0; i < sampleSize; i += 2) {
-    for (let j = i + 1; j < sampleSize; j += 3) {
-      totalDistance += deltaE(colors[i], colors[j]);
-      comparisons++;
-    }
-  }
-
-  const avgDistance = totalDistance / comparisons;
-  const adaptiveBase = Math.max(2, Math.min(20, avgDistance * 0.3));
-
-  // Blend user preference with adaptive suggestion
-  return userThreshold * 0.7 + adaptiveBase * 0.3;
-};
-
-const interpolateHue = (h1, h2, t) => {
-  let diff = h2 - h1;
-  if (diff > 0.5) {
-    diff -= 1.0;
-  } else if (diff < -0.5) {
-    diff += 1.0;
-  }
-  return (h1 + diff * t + 1.0) % 1.0;
-};
-
-const stretchPaletteRow = (uniqueColors, k) => {
-  if (uniqueColors.length === 0) return [];
-
-  // Convert to HSL and sort by lightness
-  const hslColors = uniqueColors.map((rgb) => {
-    const [h, s, l] = rgbToHsl(...rgb);
-    return { h, s, l };
-  });
-  hslColors.sort((a, b) => b.l - a.l); // Sort light to dark
-
-  const result = [];
-  const M = hslColors.length;
-
-  if (M === 1) {
-    // Monochromatic stretch
-    const { h, s } = hslColors[0];
-    for (let i = 0; i < k; i++) {
-      const t = k > 1 ? i / (k - 1) : 0.5;
-      const varL = 0.15 + 0.7 * t;
-      result.push(hslToRgb(h, s, varL));
-    }
-  } else {
-    // Interpolation stretch
-    for (let i = 0; i < k; i++) {
-      const t = k > 1 ? i / (k - 1) : 0.0;
-      const idx = t * (M - 1);
-      const low = Math.floor(idx);
-      const high = Math.ceil(idx);
-      const weight = idx - low;
-
-      const cLow = hslColors[low];
-      const cHigh = hslColors[high];
-
-      const h = interpolateHue(cLow.h, cHigh.h, weight);
-      const s = cLow.s + (cHigh.s - cLow.s) * weight;
-      const l = cLow.l + (cHigh.l - cLow.l) * weight;
-
-      result.push(hslToRgb(h, s, l));
-    }
-  }
-
-  // Sort final result by lightness (light to dark)
-  return result.sort((a, b) => {
-    const [, , l1] = rgbToHsl(...a);
-    const [, , l2] = rgbToHsl(...b);
-    return l2 - l1;
-  });
+const modelStorage = {
+  parse: parseHarmonizeModels,
+  serialize: serializeHarmonizeModels,
 };
 
 const Hint = ({ label, text }) => (
@@ -561,47 +114,209 @@ const Hint = ({ label, text }) => (
   </div>
 );
 
-const categories = {
-  red: [
-    [0.0, 0.05],
-    [0.95, 1.0],
-  ],
-  orange: [[0.05, 0.13]],
-  yellow: [[0.13, 0.24]],
-  green: [[0.24, 0.44]],
-  teal: [[0.44, 0.54]],
-  blue: [[0.54, 0.69]],
-  purple: [[0.69, 0.83]],
-  magenta: [[0.83, 0.95]],
-};
+// Decodes an image URL into `{ data, width, height }` RGBA image data of a
+// copy at most `maxDim` pixels on its longer side
+const loadImageData = (src, maxDim = 100) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = "Anonymous";
+    img.onload = () => {
+      const tempCanvas = document.createElement("canvas");
+      const tempCtx = tempCanvas.getContext("2d");
+      const size = downscaledSize(img.width, img.height, maxDim);
+      tempCanvas.width = size.width;
+      tempCanvas.height = size.height;
+      tempCtx.drawImage(img, 0, 0, tempCanvas.width, tempCanvas.height);
+      const imageData = tempCtx.getImageData(
+        0,
+        0,
+        tempCanvas.width,
+        tempCanvas.height
+      );
+      const { data, width, height } = imageData;
+      resolve({ data, width, height });
+    };
+    img.onerror = () => reject(new Error("Failed to load image"));
+    img.src = src;
+  });
 
-const categoryCenterHues = {
-  red: 0.0,
-  orange: 0.09,
-  yellow: 0.185,
-  green: 0.34,
-  teal: 0.49,
-  blue: 0.615,
-  purple: 0.76,
-  magenta: 0.89,
-};
+// JPEG data URL of a copy of an image at most `maxDim` pixels on its
+// longer side, for library entries
+const renderThumbnail = (src, maxDim = 160) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      const ratio = Math.min(1, maxDim / img.width, maxDim / img.height);
+      canvas.width = Math.round(img.width * ratio);
+      canvas.height = Math.round(img.height * ratio);
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL("image/jpeg", 0.8));
+    };
+    img.onerror = () => reject(new Error("Failed to load image"));
+    img.src = src;
+  });
+
+const svgToPngBlob = (svg) =>
+  new Promise((resolve, reject) => {
+    const blob = new Blob([svg], { type: "image/svg+xml" });
+    const url = URL.createObjectURL(blob);
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = img.width;
+      canvas.height = img.height;
+      canvas.getContext("2d").drawImage(img, 0, 0);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(resolve, "image/png");
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Failed to render the swatch sheet"));
+    };
+    img.src = url;
+  });
 
 const App = () => {
-  const [imageSrc, setImageSrc] = useState(null);
-  const [palette, setPalette] = useState([]);
+  // Source images as { id, name, src, weight, selection }; their pixels are
+  // pooled
+  const [images, setImages] = useState([]);
+  const [activeImageId, setActiveImageId] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
-  const [colorsPerHue, setColorsPerHue] = useState(11);
-  const [harmonizeModel, setHarmonizeModel] = useState("none");
-  const [extractionMethod, setExtractionMethod] = useState("categorical");
-  const [dominantColorCount, setDominantColorCount] = useState(3);
+  // Everything the pipeline depends on, in the shape of defaultSettings
+  const [settings, setSettings] = useState(() => ({
+    ...defaultSettings,
+    seed: randomSeed(),
+  }));
   const [isDragging, setIsDragging] = useState(false);
-  const [similarityThreshold, setSimilarityThreshold] = useState(5);
-  const [paletteType, setPaletteType] = useState("analogous");
   const [showColorValues, setShowColorValues] = useState(false);
-  const [useAdaptiveThreshold, setUseAdaptiveThreshold] = useState(false);
-  const [fillMissingHues, setFillMissingHues] = useState(true);
-  const [excludeNeutrals, setExcludeNeutrals] = useState(true);
-  const imageRef = useRef(null);
+  const [showContrast, setShowContrast] = useState(false);
+  // Color vision deficiency the palette is shown with, or "none"
+  const [cvdPreview, setCvdPreview] = useState("none");
+  // "swatches" for the editable grid or "studio" for the Studio One preview
+  const [paletteView, setPaletteView] = useState("swatches");
+  const [showCategoryEditor, setShowCategoryEditor] = useState(false);
+  const [showModelEditor, setShowModelEditor] = useState(false);
+  const [showLibrary, setShowLibrary] = useState(false);
+  // Library entry the grid was opened from or last saved to
+  const [libraryEntryId, setLibraryEntryId] = useState(null);
+  // User harmonization models by name, in the shape of harmonizeModels
+  const [customModels, setCustomModels] = useLocalStorageState(
+    "s1-palette.harmonizeModels",
+    {},
+    modelStorage
+  );
+  const [importedPalette, setImportedPalette] = useState(null);
+  const [importError, setImportError] = useState(null);
+  // Video file whose frames are being picked for sampling
+  const [videoFile, setVideoFile] = useState(null);
+  // Confirmation or error after copying a permalink
+  const [shareNotice, setShareNotice] = useState(null);
+  // Swatches the last DAW export left out, as { label, maxColors, dropped }
+  const [exportNotice, setExportNotice] = useState(null);
+  // Downscaled image data by image id
+  const [decodedImages, setDecodedImages] = useState({});
+  const [progress, setProgress] = useState(null);
+  // Why the last run produced no palette, e.g. an empty selection
+  const [generationError, setGenerationError] = useState(null);
+  // Rows streamed in by a running worker, shown until the run finishes
+  const [preview, setPreview] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const history = usePaletteHistory();
+  const library = usePaletteLibrary();
+  const { commit, commitGenerated } = history;
+  const nextImageIdRef = useRef(1);
+  const decodingRef = useRef(new Set());
+  const workerRef = useRef(null);
+  const runIdRef = useRef(0);
+  const dragSourceRef = useRef(null);
+  // Settings restored from history, whose palette must not be regenerated
+  const restoredSettingsRef = useRef(null);
+  // Latest customModels, for callbacks that must not change with them
+  const customModelsRef = useRef(customModels);
+
+  const {
+    extractionMethod,
+    paletteType,
+    colorsPerHue,
+    dominantColorCount,
+    similarityThreshold,
+    useAdaptiveThreshold,
+    fillMissingHues,
+    excludeNeutrals,
+    harmonizeModel,
+    presetHue,
+    colorMetric,
+    rampSpace,
+    seed,
+    hueCategories,
+    seedColors,
+    contrastStandard,
+    fixContrast,
+    cvdSafe,
+    exactSize,
+    targetSize,
+    gridColumns,
+  } = settings;
+
+  // Rows of { name, colors }, one per category or dominant color
+  const palette = history.current?.palette ?? [];
+  const displayedPalette = preview ? applyLocks(preview, palette) : palette;
+  // A preview's rows need not line up with `palette`, so the grid can only
+  // be edited once the run is done. The CVD view only recolors `palette`.
+  const editable = !preview;
+
+  const setSetting = (key, value) =>
+    setSettings((prev) => ({ ...prev, [key]: value }));
+
+  const editPalette = (update, label, mergeKey) =>
+    history.commit(update, settings, label, mergeKey);
+
+  // Puts back a history entry together with the settings that produced it
+  const restore = (index) => {
+    const entry = history.entries[index];
+    if (!entry) return;
+    if (entry.settings !== settings) {
+      restoredSettingsRef.current = entry.settings;
+      setSettings(entry.settings);
+    }
+    history.jump(index);
+  };
+
+  const undo = () => {
+    if (history.canUndo) restore(history.index - 1);
+  };
+
+  const redo = () => {
+    if (history.canRedo) restore(history.index + 1);
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      // Leave text fields their own undo
+      const tag = event.target.tagName;
+      if (
+        tag === "TEXTAREA" ||
+        tag === "SELECT" ||
+        (tag === "INPUT" && !["range", "checkbox"].includes(event.target.type))
+      ) {
+        return;
+      }
+
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  });
 
   useEffect(() => {
     const mediaQuery = window.matchMedia("(prefers-color-scheme: dark)");
@@ -616,266 +331,282 @@ const App = () => {
     return () => mediaQuery.removeEventListener("change", applySystemTheme);
   }, []);
 
+  // Decode and downscale each source image once; settings and weight
+  // changes reuse it
   useEffect(() => {
-    if (!imageSrc) {
-      setPalette([]);
-      setIsLoading(false);
+    images.forEach(({ id, src }) => {
+      if (decodingRef.current.has(id)) return;
+      decodingRef.current.add(id);
+      setIsLoading(true);
+      loadImageData(src)
+        .then((imageData) =>
+          setDecodedImages((prev) => ({ ...prev, [id]: imageData }))
+        )
+        .catch((err) => {
+          console.error(err.message);
+          setImages((prev) => prev.filter((image) => image.id !== id));
+        });
+    });
+  }, [images]);
+
+  useEffect(() => {
+    // Undo/redo put back a palette together with its settings; there is
+    // nothing to regenerate
+    if (restoredSettingsRef.current === settings) {
+      restoredSettingsRef.current = null;
       return;
     }
+    restoredSettingsRef.current = null;
 
-    setIsLoading(true);
-    const img = new Image();
-    img.crossOrigin = "Anonymous";
-    img.onload = () => {
-      const tempCanvas = document.createElement("canvas");
-      const tempCtx = tempCanvas.getContext("2d");
-      const maxDim = 100;
-      const ratio = Math.min(maxDim / img.width, maxDim / img.height);
-      tempCanvas.width = img.width * ratio;
-      tempCanvas.height = img.height * ratio;
-      tempCtx.drawImage(img, 0, 0, tempCanvas.width, tempCanvas.height);
-      const imageData = tempCtx.getImageData(
-        0,
-        0,
-        tempCanvas.width,
-        tempCanvas.height
-      );
-      const pixels = imageData.data;
-
-      let newPalette = [];
-      const allPixels = [];
-      for (let i = 0; i < pixels.length; i += 4) {
-        allPixels.push([pixels[i], pixels[i + 1], pixels[i + 2]]);
-      }
+    // The worker cannot see user models, so they are passed by value
+    const pipelineSettings = {
+      ...settings,
+      harmonizeModel:
+        customModels[settings.harmonizeModel] ?? settings.harmonizeModel,
+    };
 
-      let activePixels = allPixels;
-      if (excludeNeutrals) {
-        activePixels = allPixels.filter((p) => {
-          const [, s, l] = rgbToHsl(...p);
-          // Exclude if saturation < 8%, or lightness is too extreme (black/white)
-          return s >= 0.08 && l >= 0.10 && l <= 0.92;
-        });
-        if (activePixels.length === 0) {
-          activePixels = allPixels;
+    // Wait until every image is decoded
+    const sources = images.every(({ id }) => decodedImages[id])
+      ? images.map(({ id, weight, selection }) => ({
+          ...decodedImages[id],
+          weight,
+          selection,
+        }))
+      : [];
+
+    if (sources.length === 0) {
+      if (importedPalette) {
+        // Imported palettes skip extraction and only get re-filtered and harmonized
+        const threshold = settings.useAdaptiveThreshold
+          ? getAdaptiveThreshold(
+              importedPalette.colors,
+              settings.similarityThreshold,
+              settings.colorMetric
+            )
+          : settings.similarityThreshold;
+        let colors = filterSimilarColors(
+          importedPalette.colors,
+          threshold,
+          settings.colorMetric
+        );
+        const model = resolveHarmonizeModel(
+          pipelineSettings.harmonizeModel,
+          settings.presetHue
+        );
+        if (model !== "none") colors = harmonizeColors(colors, model);
+        if (settings.fixContrast) {
+          colors = colors.map((color) =>
+            fixColorContrast(color, settings.contrastStandard)
+          );
         }
-      }
-
-      if (extractionMethod === "categorical") {
-        const categoryOrder = [
-          "red",
-          "orange",
-          "yellow",
-          "green",
-          "teal",
-          "blue",
-          "purple",
-          "magenta",
-        ];
-
-        const catData = {};
-        let maxPixels = 0;
-        let prominentColor = [128, 128, 128]; // fallback
-
-        categoryOrder.forEach((cat) => {
-          const rangePairs = categories[cat];
-          const catPixels = activePixels.filter((p) => {
-            const [h] = rgbToHsl(...p);
-            return rangePairs.some(([low, high]) => h >= low && h < high);
-          });
-          
-          if (catPixels.length > 0) {
-            const dominant = getMedianColor(catPixels);
-            catData[cat] = {
-              dominant: dominant,
-              count: catPixels.length,
-            };
-            if (catPixels.length > maxPixels) {
-              maxPixels = catPixels.length;
-              prominentColor = dominant;
-            }
-          }
-        });
-
-        const minPixels = Math.max(15, activePixels.length * 0.01); // Require at least 1% of total pixels (min 15) to avoid noise categories
-
-        // 1. Gather active categories and sort them by pixel count (descending)
-        const activeCats = [];
-        categoryOrder.forEach((cat) => {
-          const data = catData[cat];
-          if (data && data.count >= minPixels) {
-            activeCats.push({
-              name: cat,
-              dominant: data.dominant,
-              count: data.count,
-            });
-          }
-        });
-        activeCats.sort((a, b) => b.count - a.count);
-
-        // 2. Filter out similar categories based on deltaE
-        const acceptedCats = [];
-        const similarityCatThreshold = 20; // deltaE threshold for distinct category rows
-
-        activeCats.forEach((item) => {
-          let tooSimilar = false;
-          for (const accepted of acceptedCats) {
-            const diff = deltaE(item.dominant, accepted.dominant);
-            if (diff < similarityCatThreshold) {
-              tooSimilar = true;
-              break;
-            }
-          }
-          if (!tooSimilar) {
-            acceptedCats.push(item);
-          }
-        });
-
-        const finalActiveCatsMap = {};
-        acceptedCats.forEach((item) => {
-          finalActiveCatsMap[item.name] = true;
-        });
-
-        categoryOrder.forEach((cat) => {
-          const data = catData[cat];
-          const isActive = finalActiveCatsMap[cat];
-
-          if (isActive || fillMissingHues) {
-            let dominant;
-            if (isActive) {
-              dominant = data.dominant;
-            } else {
-              // Dynamically generate base color for missing category
-              const [, s, l] = rgbToHsl(...prominentColor);
-              const targetH = categoryCenterHues[cat];
-              dominant = hslToRgb(targetH, s, l);
-            }
-
-            let variations = [];
-
-            switch (paletteType) {
-              case "complementary":
-                variations = generateComplementaryPalette(
-                  dominant,
-                  colorsPerHue
-                );
-                break;
-              case "triadic":
-                variations = generateTriadicPalette(dominant, colorsPerHue);
-                break;
-              case "analogous":
-                variations = generateAnalogousPalette(dominant, colorsPerHue);
-                break;
-              case "monochromatic":
-                variations = generateMonochromaticPalette(
-                  dominant,
-                  colorsPerHue
-                );
-                break;
-              default:
-                variations = generateColorVariations(dominant, colorsPerHue);
-            }
-
-            // Filter this category's variations
-            const catFiltered = variations.filter((color) => {
-              const [, s, l] = rgbToHsl(...color);
-              return l > 0.1 && l < 0.95 && s > 0.1;
-            });
-
-            const catThreshold = getAdaptiveThreshold(
-              catFiltered,
-              similarityThreshold
-            );
-
-            const catSimilarityFiltered = filterSimilarColors(
-              catFiltered,
-              useAdaptiveThreshold ? catThreshold : similarityThreshold
-            );
-
-            // Stretch the row back to colorsPerHue
-            const stretchedRow = stretchPaletteRow(catSimilarityFiltered, colorsPerHue);
-            newPalette.push(...stretchedRow);
-          }
-        });
-      } else {
-        const dominantColors = getDominantColors(activePixels, dominantColorCount);
-        const targetCount = Math.max(3, Math.floor(colorsPerHue / dominantColorCount));
-        dominantColors.forEach((color) => {
-          let variations = [];
-
-          switch (paletteType) {
-            case "complementary":
-              variations = generateComplementaryPalette(color, targetCount);
-              break;
-            case "triadic":
-              variations = generateTriadicPalette(color, targetCount);
-              break;
-            case "analogous":
-              variations = generateAnalogousPalette(color, targetCount);
-              break;
-            case "monochromatic":
-              variations = generateMonochromaticPalette(color, targetCount);
-              break;
-            default:
-              variations = generateColorVariations(color, targetCount);
-          }
-
-          // Filter this dominant color's variations
-          const rowFiltered = variations.filter((c) => {
-            const [, s, l] = rgbToHsl(...c);
-            return l > 0.1 && l < 0.95 && s > 0.1;
+        if (settings.cvdSafe !== "none") {
+          colors = spreadForCvd(colors, settings.cvdSafe, {
+            metric: settings.colorMetric,
+            contrastStandard: settings.fixContrast
+              ? settings.contrastStandard
+              : undefined,
           });
+        }
+        commitGenerated(
+          [{ name: importedPalette.name, colors }],
+          settings,
+          `Opened ${importedPalette.name}`
+        );
+      }
+      if (images.length === 0) setIsLoading(false);
+      return;
+    }
 
-          const rowThreshold = getAdaptiveThreshold(
-            rowFiltered,
-            similarityThreshold
-          );
-
-          const rowSimilarityFiltered = filterSimilarColors(
-            rowFiltered,
-            useAdaptiveThreshold ? rowThreshold : similarityThreshold
-          );
+    if (!workerRef.current) {
+      workerRef.current = new Worker(
+        new URL("./paletteWorker.js", import.meta.url),
+        { type: "module" }
+      );
+    }
+    const worker = workerRef.current;
+    const id = ++runIdRef.current;
+    let finished = false;
 
-          const stretchedRow = stretchPaletteRow(rowSimilarityFiltered, targetCount);
-          newPalette.push(...stretchedRow);
-        });
+    setIsLoading(true);
+    setProgress({ progress: 0, stage: "Starting" });
+
+    worker.onmessage = ({ data }) => {
+      if (data.id !== id) return;
+      if (data.type === "progress") {
+        // Keep showing the previous palette until the first new row arrives
+        if (data.rows.length > 0) setPreview(data.rows);
+        setProgress({ progress: data.progress, stage: data.stage });
+        return;
       }
-
-      let finalColors = newPalette;
-      if (harmonizeModel !== "none") {
-        finalColors = harmonizeColors(finalColors, harmonizeModel);
+      finished = true;
+      if (data.type === "done") {
+        commitGenerated(data.rows, settings, "Regenerated");
+        setGenerationError(null);
+      } else {
+        console.error("Palette generation failed:", data.message);
+        setGenerationError(data.message);
       }
-
-      setPalette(finalColors);
+      setPreview(null);
+      setProgress(null);
       setIsLoading(false);
     };
-    img.onerror = () => {
-      console.error("Failed to load image");
+    // Errors the worker could not report itself, e.g. a failed import
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finished = true;
+      console.error("Palette worker failed:", event.message);
+      setGenerationError("Palette generation failed. Try again.");
+      worker.terminate();
+      if (workerRef.current === worker) workerRef.current = null;
+      setPreview(null);
+      setProgress(null);
       setIsLoading(false);
     };
-    img.src = imageSrc;
+    worker.postMessage({ id, images: sources, settings: pipelineSettings });
+
+    return () => {
+      // A newer run supersedes this one: drop the busy worker so it stops
+      // computing, and let the next run start a fresh one
+      if (!finished) {
+        worker.terminate();
+        if (workerRef.current === worker) workerRef.current = null;
+        setPreview(null);
+      }
+    };
   }, [
-    imageSrc,
-    colorsPerHue,
-    harmonizeModel,
-    extractionMethod,
-    dominantColorCount,
-    similarityThreshold,
-    useAdaptiveThreshold,
-    fillMissingHues,
-    excludeNeutrals,
-    paletteType,
+    images,
+    decodedImages,
+    importedPalette,
+    settings,
+    customModels,
+    commitGenerated,
   ]);
 
-  const handleFile = (file) => {
-    if (file && file.type.startsWith("image/")) {
+  useEffect(
+    () => () => {
+      workerRef.current?.terminate();
+      workerRef.current = null;
+    },
+    []
+  );
+
+  const isPaletteFile = (file) => /\.(colorpalette|json)$/i.test(file.name);
+
+  const handlePaletteFile = (file) => {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const parsed = parseColorPalette(e.target.result);
+        const { colors, invalid } = parsed;
+        setImages([]);
+        setLibraryEntryId(null);
+        if (parsed.seed !== undefined) setSetting("seed", parsed.seed);
+        setImportedPalette({ name: file.name, colors });
+        setImportError(
+          invalid.length > 0
+            ? `Skipped ${invalid.length} malformed ${
+                invalid.length === 1 ? "entry" : "entries"
+              } (e.g. ${JSON.stringify(invalid[0].value)}).`
+            : null
+        );
+      } catch (err) {
+        setImportError(err.message);
+      }
+    };
+    reader.onerror = () => setImportError("Failed to read palette file.");
+    reader.readAsText(file);
+  };
+
+  // Adds `{ name, src }` images to the pool and shows the first one
+  const addSources = useCallback((sources) => {
+    const added = sources.map(({ name, src }) => ({
+      id: nextImageIdRef.current++,
+      name,
+      src,
+      weight: 1,
+      selection: [],
+    }));
+    setImportedPalette(null);
+    setImportError(null);
+    setImages((prev) => [...prev, ...added]);
+    setActiveImageId(added[0].id);
+  }, []);
+
+  const addImage = useCallback(
+    (file, name = file.name) => {
       const reader = new FileReader();
-      reader.onload = (e) => setImageSrc(e.target.result);
+      reader.onload = (e) => addSources([{ name, src: e.target.result }]);
       reader.readAsDataURL(file);
+    },
+    [addSources]
+  );
+
+  // Images are added to the current set; a palette file replaces it, and a
+  // video opens the frame sampler
+  const handleFiles = (files) => {
+    const list = Array.from(files);
+    const paletteFile = list.find(isPaletteFile);
+    if (paletteFile) {
+      handlePaletteFile(paletteFile);
+      return;
     }
+    const video = list.find((file) => file.type.startsWith("video/"));
+    if (video) setVideoFile(video);
+    list
+      .filter((file) => file.type.startsWith("image/"))
+      .forEach((file) => addImage(file));
   };
 
+  // Ctrl+V adds images from the clipboard, except while typing in a field
+  useEffect(() => {
+    const handlePaste = (event) => {
+      const tag = event.target.tagName;
+      if (tag === "INPUT" || tag === "TEXTAREA") return;
+      const files = Array.from(event.clipboardData?.files ?? []).filter(
+        (file) => file.type.startsWith("image/")
+      );
+      if (files.length === 0) return;
+      event.preventDefault();
+      const time = new Date().toLocaleTimeString();
+      files.forEach((file) => addImage(file, `Pasted image ${time}`));
+    };
+
+    window.addEventListener("paste", handlePaste);
+    return () => window.removeEventListener("paste", handlePaste);
+  }, [addImage]);
+
   const handleImageUpload = (event) => {
-    handleFile(event.target.files[0]);
+    handleFiles(event.target.files);
+    event.target.value = "";
+  };
+
+  const updateImage = (id, changes) => {
+    setImages((prev) =>
+      prev.map((image) => (image.id === id ? { ...image, ...changes } : image))
+    );
+  };
+
+  const removeImage = (id) => {
+    const remaining = images.filter((image) => image.id !== id);
+    setImages(remaining);
+    setDecodedImages((prev) => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+    decodingRef.current.delete(id);
+    if (activeImageId === id) setActiveImageId(remaining[0]?.id ?? null);
+    // Without sources there is nothing left for the palette to come from
+    if (remaining.length === 0 && !importedPalette) {
+      setSelected(null);
+      editPalette([], "Removed last image");
+    }
+  };
+
+  const handlePaletteUpload = (event) => {
+    const file = event.target.files[0];
+    if (file) handlePaletteFile(file);
+    event.target.value = "";
   };
 
   const handleDragOver = (event) => {
@@ -890,35 +621,296 @@ const App = () => {
   const handleDrop = (event) => {
     event.preventDefault();
     setIsDragging(false);
-    const file = event.dataTransfer.files[0];
-    handleFile(file);
+    handleFiles(event.dataTransfer.files);
+  };
+
+  // Downloads `rows` in one of the `exportMenu` formats as `name`.<ext>
+  const exportRows = (rows, format, { name, seed }) => {
+    setExportNotice(null);
+    if (dawProfiles[format]) {
+      const { label, extension, type, maxColors } = dawProfiles[format];
+      const { data, dropped } = exportForDaw(rows, format, { name, seed });
+      downloadBlob(new Blob([data], { type }), `${name}.${extension}`);
+      if (dropped.length > 0) setExportNotice({ label, maxColors, dropped });
+      return;
+    }
+    if (format === "png") {
+      svgToPngBlob(renderSwatchSheetSvg(rows))
+        .then((blob) => downloadBlob(blob, `${name}.png`))
+        .catch((err) => console.error("PNG export failed:", err));
+      return;
+    }
+
+    const { extension, type, serialize } = exportFormats[format];
+    const blob = new Blob([serialize(rows, { name, seed })], { type });
+    downloadBlob(blob, `${name}.${extension}`);
   };
 
-  const handleExport = () => {
-    if (palette.length === 0) {
+  const handleExport = (format = "colorpalette") => {
+    if (countSwatches(palette) === 0) {
       console.log("No palette to export.");
       return;
     }
+    exportRows(palette, format, { name: `palette-${seed}`, seed });
+  };
+
+  const libraryEntry =
+    library.entries.find((entry) => entry.id === libraryEntryId) ?? null;
+
+  const handleLibrarySave = ({ name, tags }, asNew) => {
+    const previous = asNew ? null : libraryEntry;
+    const source = images[0];
+    const thumbnail = source
+      ? renderThumbnail(source.src).catch((err) => {
+          console.error(err.message);
+          return null;
+        })
+      : Promise.resolve(previous?.thumbnail ?? null);
+    thumbnail.then((thumbnail) => {
+      const entry = createLibraryEntry(
+        { name, tags, rows: palette, settings, customModels, thumbnail },
+        previous
+      );
+      library.save(entry);
+      setLibraryEntryId(entry.id);
+    });
+  };
+
+  useEffect(() => {
+    customModelsRef.current = customModels;
+  }, [customModels]);
+
+  // Adds the harmonization `models` that came with a saved palette or link.
+  // One that differs from a local model of the same name is added as a copy
+  // so the palette keeps its look; `next` is pointed at the copy. Returns
+  // the settings and a notice naming the copies, or null.
+  const addModels = useCallback(
+    (models, next) => {
+      if (Object.keys(models).length === 0) return [next, null];
+      const { models: merged, renamed } = mergeHarmonizeModels(
+        customModelsRef.current,
+        models
+      );
+      customModelsRef.current = merged;
+      setCustomModels(merged);
+      const copies = Object.entries(renamed);
+      if (copies.length === 0) return [next, null];
+      const names = copies.map(([from, to]) => `"${from}" as "${to}"`);
+      const notice = `Models that differ from yours of the same name were added as copies: ${names.join(", ")}.`;
+      return [
+        Object.hasOwn(renamed, next.harmonizeModel)
+          ? { ...next, harmonizeModel: renamed[next.harmonizeModel] }
+          : next,
+        notice,
+      ];
+    },
+    [setCustomModels]
+  );
+
+  // Shows `rows` with the settings that made them, without regenerating,
+  // and adds their harmonization `models` (see addModels). Source images
+  // are not part of a saved palette, so they are cleared; adding one
+  // regenerates with these settings. `notice` is shown along with any about
+  // the models.
+  const openPalette = useCallback(
+    ({ rows, settings, models, label, notice = null }) => {
+      const [next, modelNotice] = addModels(models, settings);
+      restoredSettingsRef.current = next;
+      setSettings(next);
+      setImages([]);
+      setImportedPalette(null);
+      setImportError(
+        [modelNotice, notice].filter(Boolean).join(" ") || null
+      );
+      setSelected(null);
+      setProgress(null);
+      setIsLoading(false);
+      commit(rows, next, label);
+    },
+    [addModels, commit]
+  );
+
+  const handleLibraryOpen = (entry) => {
+    openPalette({
+      rows: entry.rows,
+      // Entries saved before settings were checked may hold bad values
+      settings: parseSettings(entry.settings).settings,
+      models: entry.models,
+      label: `Opened ${entry.name}`,
+    });
+    setLibraryEntryId(entry.id);
+  };
 
-    const formatColor = (r, g, b) => {
-      const toHex = (c) => `0${c.toString(16)}`.slice(-2).toUpperCase();
-      return `FF${toHex(b)}${toHex(g)}${toHex(r)}`;
+  // Opens permalinks, on load and when another one is pasted into this tab.
+  // Links with colors show that palette; settings-only links apply to
+  // whatever images are loaded.
+  useEffect(() => {
+    const openLink = () => {
+      let link;
+      try {
+        link = decodePermalink(window.location.hash);
+      } catch (err) {
+        setImportError(err.message);
+        return;
+      }
+      if (!link) return;
+      const { rows, settings, models, ignored } = link;
+      const notice =
+        ignored.length > 0
+          ? `The link's ${ignored.join(", ")} could not be read and were reset.`
+          : null;
+      if (rows) {
+        openPalette({ rows, settings, models, label: "Opened link", notice });
+      } else {
+        const [next, modelNotice] = addModels(models, settings);
+        setSettings(next);
+        setImportError(
+          [modelNotice, notice].filter(Boolean).join(" ") || null
+        );
+      }
+      setLibraryEntryId(null);
     };
 
-    const flatColors = palette.map(([r, g, b]) => formatColor(r, g, b));
-    const jsonOutput = { colors: flatColors };
-    const jsonString = JSON.stringify(jsonOutput, null, 2);
+    openLink();
+    window.addEventListener("hashchange", openLink);
+    return () => window.removeEventListener("hashchange", openLink);
+  }, [addModels, openPalette]);
 
-    const blob = new Blob([jsonString], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
+  const handleShare = (withColors) => {
+    const hash = encodePermalink({
+      settings,
+      rows: withColors ? palette : undefined,
+      customModels,
+    });
+    const { origin, pathname, search } = window.location;
+    navigator.clipboard
+      .writeText(`${origin}${pathname}${search}#${hash}`)
+      .then(() =>
+        setShareNotice(
+          withColors
+            ? "Link copied. It opens this palette, no image needed."
+            : "Link copied. It applies these settings and seed to any image."
+        )
+      )
+      .catch((err) => {
+        console.error("Failed to copy link:", err);
+        setShareNotice("Could not copy the link.");
+      });
+  };
 
-    const link = document.createElement("a");
-    link.href = url;
-    link.download = "palette.colorpalette";
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+  const handleLibraryExport = (entry, format) =>
+    exportRows(entry.rows, format, {
+      name: entry.name.replace(/[\\/:*?"<>|]+/g, "-"),
+      seed: entry.settings.seed,
+    });
+
+  const handleLibraryDelete = (entry) => {
+    library.remove(entry.id);
+    if (entry.id === libraryEntryId) setLibraryEntryId(null);
+  };
+
+  // Shown next to the export button when the palette won't fill the picker
+  const swatchCount = countSwatches(palette);
+  const gridGaps = countGridGaps(swatchCount, gridColumns);
+  const gridGapNotice =
+    exactSize && swatchCount !== targetSize
+      ? `The palette has ${swatchCount} colors, not ${targetSize}: some rows came out shorter than allotted.`
+      : gridGaps > 0
+        ? `${swatchCount} colors leave ${gridGaps} empty ${
+            gridGaps === 1 ? "slot" : "slots"
+          } in the last line of a ${gridColumns}-column picker.`
+        : null;
+
+  const activeImage =
+    images.find((image) => image.id === activeImageId) ?? images[0];
+
+  // Rows a picked color can replace
+  const seedTargets =
+    extractionMethod === "categorical"
+      ? hueCategories.map(({ name }) => name)
+      : Array.from(
+          { length: dominantColorCount },
+          (_, index) => `color ${index + 1}`
+        );
+
+  const handlePick = ([x, y]) => {
+    const imageData = decodedImages[activeImage.id];
+    if (!imageData) return;
+    const color = averageColorAt(imageData, x, y);
+    if (color) {
+      setSetting("seedColors", [...seedColors, { color, target: null }]);
+    }
+  };
+
+  const selectedColor =
+    selected && palette[selected.row]?.colors[selected.index];
+
+  const handleSwatchChange = (color) => {
+    editPalette(
+      (rows) => updateSwatch(rows, selected, color),
+      "Edited swatch",
+      `edit:${selected.row}:${selected.index}`
+    );
+  };
+
+  const handleSwatchDuplicate = () => {
+    editPalette((rows) => duplicateSwatch(rows, selected), "Duplicated swatch");
+    setSelected({ ...selected, index: selected.index + 1 });
+  };
+
+  // Inserts the midpoint between the selected swatch and its right neighbor
+  const handleSwatchInsert = () => {
+    const colors = palette[selected.row].colors;
+    const next = colors[selected.index + 1] || selectedColor;
+    const mixed = selectedColor.map((c, i) => Math.round((c + next[i]) / 2));
+    const position = { ...selected, index: selected.index + 1 };
+    editPalette(
+      (rows) => insertSwatch(rows, position, mixed),
+      "Inserted swatch"
+    );
+    setSelected(position);
+  };
+
+  const handleSwatchDelete = () => {
+    editPalette((rows) => removeSwatch(rows, selected), "Deleted swatch");
+    setSelected(null);
+  };
+
+  const handleRowAppend = (rowIndex) => {
+    const colors = palette[rowIndex].colors;
+    const color =
+      colors.length > 0 ? [...colors[colors.length - 1]] : [128, 128, 128];
+    const position = { row: rowIndex, index: colors.length };
+    editPalette((rows) => insertSwatch(rows, position, color), "Added swatch");
+    setSelected(position);
+  };
+
+  const handleSwatchDragStart = (event, position) => {
+    dragSourceRef.current = position;
+    event.dataTransfer.effectAllowed = "move";
+    event.dataTransfer.setData("text/plain", "");
+  };
+
+  const handleSwatchDragOver = (event) => {
+    if (!dragSourceRef.current) return;
+    event.preventDefault();
+    event.stopPropagation();
+  };
+
+  const handleSwatchDrop = (event, target) => {
+    const from = dragSourceRef.current;
+    if (!from || !editable) return;
+    event.preventDefault();
+    event.stopPropagation();
+    dragSourceRef.current = null;
+
+    const { rows, position } = moveSwatch(palette, from, target);
+    editPalette(rows, "Moved swatch");
+    if (selected && selected.row === from.row && selected.index === from.index) {
+      setSelected(position);
+    } else {
+      setSelected(null);
+    }
   };
 
   const copyToClipboard = (color) => {
@@ -942,8 +934,33 @@ const App = () => {
           <h1 className="text-3xl font-bold text-gray-900 dark:text-gray-100">
             S1 Color Palette Generator v0.2.2
           </h1>
+          <button
+            onClick={() => setShowLibrary(!showLibrary)}
+            aria-expanded={showLibrary}
+            className="text-sm font-semibold py-2 px-4 rounded-full border border-gray-300 text-gray-700 hover:bg-gray-100 dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-700"
+          >
+            Library ({library.entries.length})
+          </button>
         </div>
 
+        {showLibrary && (
+          <div className="mb-6">
+            <PaletteLibrary
+              entries={library.entries}
+              error={library.error}
+              current={libraryEntry}
+              defaultName={`palette-${seed}`}
+              canSave={!isLoading && countSwatches(palette) > 0}
+              formats={exportMenu}
+              onSave={handleLibrarySave}
+              onOpen={handleLibraryOpen}
+              onExport={handleLibraryExport}
+              onDelete={handleLibraryDelete}
+              onImport={(entries) => library.save(...entries)}
+            />
+          </div>
+        )}
+
         <div className="flex flex-col space-y-6">
           <div
             className={`w-full flex flex-col items-center justify-center bg-gray-50 rounded-lg border-2 ${
@@ -955,27 +972,77 @@ const App = () => {
             onDragLeave={handleDragLeave}
             onDrop={handleDrop}
           >
-            {imageSrc ? (
-              <img
-                ref={imageRef}
-                src={imageSrc}
-                alt="Uploaded"
-                className="max-w-full h-auto rounded-lg shadow-md max-h-64"
-              />
+            {images.length > 0 ? (
+              <>
+                <SelectionEditor
+                  src={activeImage.src}
+                  alt={activeImage.name}
+                  selection={activeImage.selection}
+                  onChange={(selection) =>
+                    updateImage(activeImage.id, { selection })
+                  }
+                  onPick={handlePick}
+                />
+                {generationError && (
+                  <p className="mt-2 text-xs text-red-600 dark:text-red-400">
+                    {generationError}
+                  </p>
+                )}
+                {seedColors.length > 0 && (
+                  <SeedColors
+                    seedColors={seedColors}
+                    rowNames={seedTargets}
+                    onChange={(next) => setSetting("seedColors", next)}
+                  />
+                )}
+                <SourceImages
+                  images={images}
+                  activeId={activeImage.id}
+                  onSelect={setActiveImageId}
+                  onWeightChange={(id, weight) =>
+                    updateImage(id, { weight })
+                  }
+                  onRemove={removeImage}
+                  onAdd={handleImageUpload}
+                />
+              </>
             ) : (
               <div className="text-center text-gray-500 dark:text-gray-400 p-4">
                 <p className="mb-4">
-                  Drag & drop an image here or click a button below
+                  Drag & drop images, a video or a .colorpalette file here,
+                  paste an image with Ctrl+V or click a button below. Several
+                  images and video frames are pooled into one palette.
                 </p>
+                {importedPalette && (
+                  <p className="mb-4 text-sm text-gray-700 dark:text-gray-300">
+                    Editing <strong>{importedPalette.name}</strong> (
+                    {importedPalette.colors.length} colors)
+                  </p>
+                )}
                 <label className="cursor-pointer bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200 shadow-md mb-4 inline-block">
-                  Choose File
+                  Choose Images or Video
                   <input
                     type="file"
+                    multiple
                     onChange={handleImageUpload}
                     className="hidden"
-                    accept="image/*"
+                    accept="image/*,video/*"
+                  />
+                </label>
+                <label className="cursor-pointer bg-gray-600 hover:bg-gray-700 text-white font-semibold py-2 px-4 rounded-full transition-colors duration-200 shadow-md mb-4 ml-2 inline-block">
+                  Open Palette
+                  <input
+                    type="file"
+                    onChange={handlePaletteUpload}
+                    className="hidden"
+                    accept=".colorpalette,.json,application/json"
                   />
                 </label>
+                {importError && (
+                  <p className="text-xs text-red-600 dark:text-red-400">
+                    {importError}
+                  </p>
+                )}
                 <p className="text-xs mt-4">
                   Disclaimer and Privacy Notice: This application operates
                   entirely within your browser. No user data, images, or files
@@ -986,6 +1053,15 @@ const App = () => {
             )}
           </div>
 
+          {videoFile && (
+            <VideoFrameSampler
+              key={`${videoFile.name}-${videoFile.lastModified}`}
+              file={videoFile}
+              onAdd={addSources}
+              onClose={() => setVideoFile(null)}
+            />
+          )}
+
           <div className="w-full flex flex-col items-center">
             <div className=" w-full rounded-xl p-4 flex border border-gray-200  dark:border-gray-600 flex-wrap justify-center items-start space-y-4 sm:space-y-0 sm:space-x-4 mb-4">
               <div class="text-center w-full text-sm text-gray-600 dark:text-gray-300 mb-6">
@@ -1016,12 +1092,23 @@ const App = () => {
                 <select
                   id="method"
                   value={extractionMethod}
-                  onChange={(e) => setExtractionMethod(e.target.value)}
+                  onChange={(e) =>
+                    setSetting("extractionMethod", e.target.value)
+                  }
                   className="p-2 border border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500 w-full bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600"
                 >
                   <option value="categorical">Categorical</option>
                   <option value="complementary">Complementary</option>
                 </select>
+                {extractionMethod === "categorical" && (
+                  <button
+                    onClick={() => setShowCategoryEditor((show) => !show)}
+                    className="mt-2 text-xs text-blue-600 hover:underline dark:text-blue-400"
+                  >
+                    {showCategoryEditor ? "Hide" : "Edit"} hue categories (
+                    {hueCategories.length})
+                  </button>
+                )}
               </div>
 
               {extractionMethod === "complementary" && (
@@ -1046,7 +1133,10 @@ const App = () => {
                       max="16"
                       value={dominantColorCount}
                       onChange={(e) =>
-                        setDominantColorCount(Number(e.target.value))
+                        setSetting(
+                          "dominantColorCount",
+                          Number(e.target.value)
+                        )
                       }
                       className="w-full h-2 rounded-lg appearance-none cursor-pointer bg-gray-200 dark:bg-gray-700"
                       style={{
@@ -1074,17 +1164,23 @@ const App = () => {
                 >
                   <Hint
                     label="Palette Type"
-                    text="Choose the color harmony scheme for your palette. Complementary uses opposite colors, Triadic uses three evenly spaced colors, Analogous uses adjacent colors, and Monochromatic uses variations of a single hue."
+                    text="Choose the color harmony scheme for your palette. Complementary uses opposite colors, Split Complementary the two neighbors of the opposite, Triadic three evenly spaced colors, Tetradic two complementary pairs, Square four evenly spaced colors, Compound a color and its complement each with a close neighbor, Analogous uses adjacent colors, and Monochromatic uses variations of a single hue."
                   />
                 </label>
                 <select
                   id="paletteType"
                   value={paletteType}
-                  onChange={(e) => setPaletteType(e.target.value)}
+                  onChange={(e) => setSetting("paletteType", e.target.value)}
                   className="p-2 border border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500 w-full bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600"
                 >
                   <option value="complementary">Complementary</option>
+                  <option value="split-complementary">
+                    Split Complementary
+                  </option>
                   <option value="triadic">Triadic</option>
+                  <option value="tetradic">Tetradic (Rectangle)</option>
+                  <option value="square">Square</option>
+                  <option value="compound">Compound</option>
                   <option value="analogous">Analogous</option>
                   <option value="monochromatic">Monochromatic</option>
                   <option value="variations">Simple Variations</option>
@@ -1111,7 +1207,9 @@ const App = () => {
                   min="3"
                   max="20"
                   value={colorsPerHue}
-                  onChange={(e) => setColorsPerHue(Number(e.target.value))}
+                  onChange={(e) =>
+                    setSetting("colorsPerHue", Number(e.target.value))
+                  }
                   className="w-full h-2 rounded-lg appearance-none cursor-pointer bg-gray-200 dark:bg-gray-700"
                   style={{
                     "--tw-shadow-color": "0 0 0 #fff",
@@ -1123,6 +1221,81 @@ const App = () => {
                 <span className="text-xs mt-3 text-gray-500 dark:text-gray-400 text-center">
                   {colorsPerHue} colors
                 </span>
+                <div className="flex items-center mt-2 justify-between">
+                  <label
+                    htmlFor="rampSpace"
+                    className="block text-xs text-gray-600 dark:text-gray-400"
+                  >
+                    <span title="Color space the tints and shades of each row are built and interpolated in. HSL is the classic look; OKLCH steps evenly in perceived lightness, so yellows and blues get equally spaced rows.">
+                      Ramp space
+                    </span>
+                  </label>
+                  <select
+                    id="rampSpace"
+                    value={rampSpace}
+                    onChange={(e) => setSetting("rampSpace", e.target.value)}
+                    className="ml-2 p-1 text-xs border border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600"
+                  >
+                    {Object.entries(rampSpaces).map(([key, { label }]) => (
+                      <option key={key} value={key}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex items-center mt-2 justify-between text-xs text-gray-600 dark:text-gray-400">
+                  <label
+                    className="flex items-center"
+                    title="Generate exactly this many colors in total, shared out between the rows, instead of a fixed number per group."
+                  >
+                    <input
+                      type="checkbox"
+                      checked={exactSize}
+                      onChange={(e) => setSetting("exactSize", e.target.checked)}
+                      className="h-4 w-4 mr-2 text-blue-600 border-gray-300 rounded"
+                    />
+                    Exact size
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="256"
+                    value={targetSize}
+                    disabled={!exactSize}
+                    aria-label="Total colors"
+                    onChange={(e) =>
+                      setSetting(
+                        "targetSize",
+                        clampSetting("targetSize", Number(e.target.value))
+                      )
+                    }
+                    className="ml-2 w-16 p-1 border border-gray-300 rounded text-xs bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600 disabled:opacity-50"
+                  />
+                </div>
+                <div className="flex items-center mt-2 justify-between">
+                  <label
+                    htmlFor="gridColumns"
+                    className="block text-xs text-gray-600 dark:text-gray-400"
+                  >
+                    <span title="Width of Studio One's color picker. In exact size mode, rows fill whole picker lines when the total allows it.">
+                      Picker columns
+                    </span>
+                  </label>
+                  <input
+                    id="gridColumns"
+                    type="number"
+                    min="1"
+                    max="32"
+                    value={gridColumns}
+                    onChange={(e) =>
+                      setSetting(
+                        "gridColumns",
+                        clampSetting("gridColumns", Number(e.target.value))
+                      )
+                    }
+                    className="ml-2 w-16 p-1 border border-gray-300 rounded text-xs bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600"
+                  />
+                </div>
               </div>
 
               <div className="hidden sm:flex items-center text-2xl font-bold bg-gradient-to-r from-gray-500 to-gray-600 dark:from-gray-400 dark:to-gray-500 text-transparent bg-clip-text drop-shadow-sm">
@@ -1142,18 +1315,32 @@ const App = () => {
                 <select
                   id="harmonize"
                   value={harmonizeModel}
-                  onChange={(e) => setHarmonizeModel(e.target.value)}
+                  onChange={(e) =>
+                    setSetting("harmonizeModel", e.target.value)
+                  }
                   className="p-2 border border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500 w-full bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600"
                 >
-                  <option value="none">None</option>
-                  <option value="70s">70s</option>
-                  <option value="80s">80s</option>
-                  <option value="vibrant">Vibrant</option>
-                  <option value="neon">Neon</option>
-                  <option value="pastel">Pastel</option>
-                  <option value="earthy">Earthy</option>
-                  <option value="jewel">Jewel Tones</option>
+                  {Object.entries(harmonizeLabels).map(([key, label]) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  ))}
+                  {Object.keys(customModels).length > 0 && (
+                    <optgroup label="Custom">
+                      {Object.keys(customModels).map((key) => (
+                        <option key={key} value={key}>
+                          {key}
+                        </option>
+                      ))}
+                    </optgroup>
+                  )}
                 </select>
+                <button
+                  onClick={() => setShowModelEditor((show) => !show)}
+                  className="mt-2 text-xs text-blue-600 hover:underline dark:text-blue-400"
+                >
+                  {showModelEditor ? "Hide" : "Edit"} models
+                </button>
               </div>
 
               <div className="hidden sm:flex items-center text-2xl font-bold bg-gradient-to-r from-gray-500 to-gray-600 dark:from-gray-400 dark:to-gray-500 text-transparent bg-clip-text drop-shadow-sm">
@@ -1177,7 +1364,7 @@ const App = () => {
                   max="30"
                   value={similarityThreshold}
                   onChange={(e) =>
-                    setSimilarityThreshold(Number(e.target.value))
+                    setSetting("similarityThreshold", Number(e.target.value))
                   }
                   className="w-full h-2 rounded-lg appearance-none cursor-pointer bg-gray-200 dark:bg-gray-700"
                   style={{
@@ -1190,13 +1377,37 @@ const App = () => {
                 <span className="mt-3 text-xs text-gray-500 dark:text-gray-400 text-center">
                   {similarityThreshold} (0=strict, 30=loose)
                 </span>
+                <div className="flex items-center mt-2 justify-between">
+                  <label
+                    htmlFor="colorMetric"
+                    className="block text-xs text-gray-600 dark:text-gray-400"
+                  >
+                    <span title="How color difference is measured. CIE76 is plain Lab distance; CIE94 and CIEDE2000 correct for its over-separation of saturated colors and under-separation of near-neutrals; OKLab is a modern perceptual space. Thresholds are scaled so the slider feels the same with every metric.">
+                      Metric
+                    </span>
+                  </label>
+                  <select
+                    id="colorMetric"
+                    value={colorMetric}
+                    onChange={(e) => setSetting("colorMetric", e.target.value)}
+                    className="ml-2 p-1 text-xs border border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600"
+                  >
+                    {Object.entries(colorMetrics).map(([key, { label }]) => (
+                      <option key={key} value={key}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
                 <div className="flex items-center mt-2 justify-between">
                   <div className="flex items-center">
                     <input
                       id="useAdaptiveThreshold"
                       type="checkbox"
                       checked={useAdaptiveThreshold}
-                      onChange={(e) => setUseAdaptiveThreshold(e.target.checked)}
+                      onChange={(e) =>
+                        setSetting("useAdaptiveThreshold", e.target.checked)
+                      }
                       className="h-3 w-3 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
                     />
                     <label
@@ -1211,7 +1422,9 @@ const App = () => {
                       id="fillMissingHues"
                       type="checkbox"
                       checked={fillMissingHues}
-                      onChange={(e) => setFillMissingHues(e.target.checked)}
+                      onChange={(e) =>
+                        setSetting("fillMissingHues", e.target.checked)
+                      }
                       className="h-3 w-3 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
                     />
                     <label
@@ -1227,7 +1440,9 @@ const App = () => {
                     id="excludeNeutrals"
                     type="checkbox"
                     checked={excludeNeutrals}
-                    onChange={(e) => setExcludeNeutrals(e.target.checked)}
+                    onChange={(e) =>
+                      setSetting("excludeNeutrals", e.target.checked)
+                    }
                     className="h-3 w-3 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
                   />
                   <label
@@ -1240,31 +1455,137 @@ const App = () => {
               </div>
             </div>
 
+            {showModelEditor && (
+              <HarmonizeModelEditor
+                model={
+                  harmonizeModel in customModels ||
+                  harmonizeModel in harmonizeModels
+                    ? harmonizeModel
+                    : "none"
+                }
+                customModels={customModels}
+                presetHue={presetHue}
+                onChangePresetHue={(next) => setSetting("presetHue", next)}
+                onChangeModels={setCustomModels}
+                onSelect={(name) => setSetting("harmonizeModel", name)}
+              />
+            )}
+
+            {extractionMethod === "categorical" && showCategoryEditor && (
+              <HueWheelEditor
+                categories={hueCategories}
+                onChange={(next) => setSetting("hueCategories", next)}
+              />
+            )}
+
+            <div className="flex items-center justify-center mb-4">
+              <label
+                htmlFor="seed"
+                className="block text-sm font-medium text-gray-700 dark:text-gray-300 mr-2"
+              >
+                <Hint
+                  label="Seed"
+                  text="Every random choice made while building the palette is derived from this number. The same image, settings and seed always give the same palette, so share the seed to let someone else regenerate yours. Press Re-roll for a fresh variation."
+                />
+              </label>
+              <input
+                id="seed"
+                type="number"
+                min="0"
+                max={MAX_SEED}
+                value={seed}
+                onChange={(e) =>
+                  setSetting("seed", normalizeSeed(e.target.value))
+                }
+                className="p-2 w-36 border border-gray-300 rounded-lg shadow-sm font-mono text-sm focus:ring-blue-500 focus:border-blue-500 bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600"
+              />
+              <button
+                onClick={() => setSetting("seed", randomSeed())}
+                className="ml-2 bg-gray-600 hover:bg-gray-700 text-white text-sm font-semibold py-2 px-4 rounded-full transition-colors duration-200 shadow-md"
+              >
+                Re-roll
+              </button>
+            </div>
+
             <h2 className="text-2xl font-semibold mb-4 text-center text-gray-900 dark:text-gray-100">
               Generated Palette
             </h2>
 
-            {palette.length > 0 && (
+            {countSwatches(palette) > 0 && (
               <div className="text-center mb-6">
-                <button
-                  onClick={handleExport}
-                  className="
-                    text-white font-semibold py-2 px-6 rounded-full
-                    transition-all duration-300 transform
-                    bg-gradient-to-r from-pink-500 to-purple-600
-                    hover:from-pink-600 hover:to-purple-700
-                    shadow-lg hover:shadow-xl
-                    focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 dark:focus:ring-offset-gray-800
-                    active:scale-95
-      
-                  "
-                >
-                  Download Palette file
-                </button>
+                <ExportMenu
+                  formats={exportMenu}
+                  disabled={isLoading}
+                  onExport={handleExport}
+                />
+                <div className="mt-3 flex flex-wrap justify-center items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                  Copy link:
+                  <button
+                    onClick={() => handleShare(true)}
+                    disabled={isLoading}
+                    className="text-xs font-semibold py-1 px-3 rounded-full border border-gray-300 text-gray-700 hover:bg-gray-100 dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-700 disabled:opacity-50"
+                    title="Settings and colors; opens without the source image"
+                  >
+                    With colors
+                  </button>
+                  <button
+                    onClick={() => handleShare(false)}
+                    className="text-xs font-semibold py-1 px-3 rounded-full border border-gray-300 text-gray-700 hover:bg-gray-100 dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-700"
+                    title="Settings and seed; the same image gives the same palette"
+                  >
+                    Settings only
+                  </button>
+                  {shareNotice && (
+                    <span className="text-xs">{shareNotice}</span>
+                  )}
+                </div>
+                {!isLoading && gridGapNotice && (
+                  <p className="mt-3 mx-auto max-w-xl text-sm text-yellow-700 dark:text-yellow-300">
+                    {gridGapNotice}
+                  </p>
+                )}
+                {exportNotice && (
+                  <div className="mt-3 mx-auto max-w-xl p-3 rounded-lg border border-yellow-300 bg-yellow-50 dark:bg-yellow-900/30 dark:border-yellow-700 text-sm text-yellow-800 dark:text-yellow-200">
+                    <p>
+                      {exportNotice.label} takes {exportNotice.maxColors}{" "}
+                      colors, so {exportNotice.dropped.length} were left out:
+                    </p>
+                    <div className="flex flex-wrap justify-center gap-1 mt-2">
+                      {exportNotice.dropped.map(({ row, index, color }) => (
+                        <span
+                          key={`${row}-${index}`}
+                          className="w-5 h-5 rounded-sm border border-gray-300 dark:border-gray-600"
+                          style={{ backgroundColor: rgbToHex(...color) }}
+                          title={`${row} ${index + 1} (${rgbToHex(...color)})`}
+                        />
+                      ))}
+                    </div>
+                    <button
+                      onClick={() => setExportNotice(null)}
+                      className="mt-2 text-xs underline"
+                    >
+                      Dismiss
+                    </button>
+                  </div>
+                )}
               </div>
             )}
 
-            {isLoading ? (
+            {progress && countSwatches(displayedPalette) > 0 && (
+              <div className="w-full mb-2">
+                <div className="h-1 w-full rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                  <div
+                    className="h-full bg-blue-500 transition-all duration-200"
+                    style={{ width: `${Math.round(progress.progress * 100)}%` }}
+                  />
+                </div>
+                <p className="text-xs mt-1 text-center text-gray-500 dark:text-gray-400">
+                  {progress.stage}…
+                </p>
+              </div>
+            )}
+
+            {isLoading && countSwatches(displayedPalette) === 0 ? (
               <div className="flex justify-center items-center h-40">
                 <svg
                   className="animate-spin -ml-1 mr-3 h-8 w-8 text-blue-500"
@@ -1287,60 +1608,298 @@ const App = () => {
                   ></path>
                 </svg>
                 <span className="text-gray-600 dark:text-gray-400">
-                  Generating palette...
+                  {progress ? `${progress.stage}...` : "Generating palette..."}
                 </span>
               </div>
             ) : (
               <div className="w-full">
-                <div className="flex flex-wrap justify-center gap-2 p-4 rounded-xl border border-gray-200 dark:border-gray-600 w-full">
-                  {palette.length > 0 ? (
-                    palette.map((color, index) => {
-                      const [r, g, b] = color;
-                      const hexCode = rgbToHex(r, g, b);
-                      const textColor =
-                        r * 0.299 + g * 0.587 + b * 0.114 > 150
-                          ? "#000000"
-                          : "#FFFFFF";
-
-                      return (
-                        <div
-                          key={index}
-                          className="relative group rounded-lg overflow-hidden shadow-md"
-                          style={{
-                            width: "100px",
-                            height: "100px",
-                            backgroundColor: hexCode,
-                            border: "1px solid rgba(255, 255, 255, 0.1)",
-                          }}
-                        >
-                          {showColorValues && (
-                            <div
-                              className="absolute bottom-0 left-0 right-0 p-1 text-xs text-center font-mono transition-opacity duration-200"
-                              style={{
-                                backgroundColor: "rgba(0, 0, 0, 0.6)",
-                                color: textColor,
-                              }}
-                            >
-                              {hexCode}
-                            </div>
-                          )}
+                <div className="flex justify-center gap-2 mb-3">
+                  {[
+                    ["swatches", "Swatches"],
+                    ["studio", "Studio One preview"],
+                  ].map(([view, label]) => (
+                    <button
+                      key={view}
+                      onClick={() => setPaletteView(view)}
+                      className={`text-xs font-semibold py-1 px-3 rounded-full transition-colors duration-200 shadow-sm ${
+                        paletteView === view
+                          ? "bg-blue-600 text-white"
+                          : "bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500"
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex flex-col gap-4 p-4 rounded-xl border border-gray-200 dark:border-gray-600 w-full">
+                  {displayedPalette.length > 0 && paletteView === "studio" ? (
+                    <StudioOnePreview
+                      colors={flattenRows(displayedPalette).map((color) =>
+                        simulateCvd(color, cvdPreview)
+                      )}
+                      columns={gridColumns}
+                      contrastStandard={contrastStandard}
+                    />
+                  ) : displayedPalette.length > 0 ? (
+                    displayedPalette.map((row, rowIndex) => (
+                      <div
+                        key={rowIndex}
+                        onDragOver={handleSwatchDragOver}
+                        onDrop={(e) =>
+                          handleSwatchDrop(e, {
+                            row: rowIndex,
+                            index: row.colors.length,
+                          })
+                        }
+                      >
+                        <div className="flex items-center mb-1">
+                          <p className="text-xs font-medium capitalize text-gray-500 dark:text-gray-400">
+                            {row.name}
+                          </p>
+                          <button
+                            disabled={!editable}
+                            onClick={() =>
+                              editPalette(
+                                (rows) => toggleRowLock(rows, rowIndex),
+                                `${row.locked ? "Unlocked" : "Locked"} ${
+                                  row.name
+                                }`
+                              )
+                            }
+                            className={`ml-2 text-xs px-2 rounded-full border transition-colors duration-200 disabled:opacity-50 ${
+                              row.locked
+                                ? "bg-blue-600 border-blue-600 text-white"
+                                : "border-gray-300 text-gray-500 hover:border-gray-500 dark:border-gray-600 dark:text-gray-400"
+                            }`}
+                            title="Keep this row exactly as it is when settings change"
+                          >
+                            {row.locked ? "Locked" : "Lock row"}
+                          </button>
+                        </div>
+                        <div className="flex flex-wrap justify-center gap-2">
+                          {row.colors.map((color, index) => {
+                            const hexCode = rgbToHex(...color);
+                            const contrast = contrastReport(
+                              color,
+                              contrastStandard
+                            );
+                            const textColor =
+                              contrast.text === "white"
+                                ? "#FFFFFF"
+                                : "#000000";
+                            const isSelected =
+                              editable &&
+                              selected?.row === rowIndex &&
+                              selected?.index === index;
+                            const pinned = isPinned(row, index);
+
+                            return (
+                              <div
+                                key={index}
+                                draggable={editable}
+                                onClick={() =>
+                                  editable &&
+                                  setSelected({ row: rowIndex, index })
+                                }
+                                onDragStart={(e) =>
+                                  handleSwatchDragStart(e, {
+                                    row: rowIndex,
+                                    index,
+                                  })
+                                }
+                                onDragEnd={() => {
+                                  dragSourceRef.current = null;
+                                }}
+                                onDragOver={handleSwatchDragOver}
+                                onDrop={(e) =>
+                                  handleSwatchDrop(e, { row: rowIndex, index })
+                                }
+                                className={`relative group rounded-lg overflow-hidden shadow-md ${
+                                  editable ? "cursor-pointer" : ""
+                                } ${
+                                  isSelected
+                                    ? "ring-4 ring-blue-500 ring-offset-2 dark:ring-offset-gray-800"
+                                    : ""
+                                } ${
+                                  showContrast && !contrast.passes
+                                    ? "outline-3 outline-offset-2 outline-dashed outline-red-500"
+                                    : ""
+                                }`}
+                                style={{
+                                  width: "100px",
+                                  height: "100px",
+                                  backgroundColor: rgbToHex(
+                                    ...simulateCvd(color, cvdPreview)
+                                  ),
+                                  border: "1px solid rgba(255, 255, 255, 0.1)",
+                                }}
+                              >
+                                {showContrast && (
+                                  <div
+                                    className="absolute inset-0 flex flex-col items-center justify-center pointer-events-none"
+                                    style={{ color: textColor }}
+                                  >
+                                    <span className="text-lg font-semibold">
+                                      Aa
+                                    </span>
+                                    <span className="text-[10px] font-mono">
+                                      {contrastStandards[
+                                        contrastStandard
+                                      ].format(contrast.score)}
+                                    </span>
+                                  </div>
+                                )}
+                                {showColorValues && (
+                                  <div
+                                    className="absolute bottom-0 left-0 right-0 p-1 text-xs text-center font-mono transition-opacity duration-200"
+                                    style={{
+                                      backgroundColor: "rgba(0, 0, 0, 0.6)",
+                                      color: textColor,
+                                    }}
+                                  >
+                                    {hexCode}
+                                  </div>
+                                )}
+                                <button
+                                  id={`color-${hexCode}`}
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    copyToClipboard(color);
+                                  }}
+                                  className="absolute top-1 right-1 bg-gray-800 text-white text-xs px-2 py-1 rounded opacity-0 group-hover:opacity-100 transition-opacity duration-200"
+                                >
+                                  Copy
+                                </button>
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    editPalette(
+                                      (rows) =>
+                                        toggleSwatchPin(rows, {
+                                          row: rowIndex,
+                                          index,
+                                        }),
+                                      pinned
+                                        ? "Unpinned swatch"
+                                        : "Pinned swatch"
+                                    );
+                                  }}
+                                  disabled={row.locked || !editable}
+                                  className={`absolute top-1 left-1 text-xs px-2 py-1 rounded transition-opacity duration-200 ${
+                                    pinned
+                                      ? "bg-blue-600 text-white opacity-100"
+                                      : "bg-gray-800 text-white opacity-0 group-hover:opacity-100"
+                                  }`}
+                                  title="Keep this swatch when settings change"
+                                >
+                                  {pinned ? "Pinned" : "Pin"}
+                                </button>
+                              </div>
+                            );
+                          })}
                           <button
-                            id={`color-${hexCode}`}
-                            onClick={() => copyToClipboard(color)}
-                            className="absolute top-1 right-1 bg-gray-800 text-white text-xs px-2 py-1 rounded opacity-0 group-hover:opacity-100 transition-opacity duration-200"
+                            onClick={() => handleRowAppend(rowIndex)}
+                            disabled={!editable}
+                            className="rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600 text-2xl text-gray-400 hover:text-gray-600 hover:border-gray-400 dark:hover:text-gray-200 transition-colors duration-200 disabled:opacity-50 disabled:pointer-events-none"
+                            style={{ width: "100px", height: "100px" }}
+                            title="Add a swatch to this row"
                           >
-                            Copy
+                            +
                           </button>
                         </div>
-                      );
-                    })
+                      </div>
+                    ))
                   ) : (
                     <p className="text-gray-500 dark:text-gray-400 text-center w-full">
                       Your palette will appear here.
                     </p>
                   )}
                 </div>
-                <div className="flex justify-end mt-4">
+                {history.entries.length > 1 && (
+                  <HistoryTimeline
+                    entries={history.entries}
+                    index={history.index}
+                    canUndo={history.canUndo}
+                    canRedo={history.canRedo}
+                    onUndo={undo}
+                    onRedo={redo}
+                    onJump={restore}
+                  />
+                )}
+                {showContrast && countSwatches(displayedPalette) > 0 && (
+                  <ContrastReport
+                    palette={displayedPalette}
+                    standard={contrastStandard}
+                    fixContrast={fixContrast}
+                    onChangeStandard={(value) =>
+                      setSetting("contrastStandard", value)
+                    }
+                    onChangeFix={(value) => setSetting("fixContrast", value)}
+                  />
+                )}
+                {selectedColor && editable && (
+                  <SwatchEditor
+                    color={selectedColor}
+                    onChange={handleSwatchChange}
+                    onDuplicate={handleSwatchDuplicate}
+                    onInsert={handleSwatchInsert}
+                    onDelete={handleSwatchDelete}
+                    onClose={() => setSelected(null)}
+                  />
+                )}
+                <div className="flex flex-wrap justify-end gap-4 mt-4">
+                  <label className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+                    Simulate
+                    <select
+                      value={cvdPreview}
+                      onChange={(e) => setCvdPreview(e.target.value)}
+                      className="ml-2 p-1 text-xs border border-gray-300 rounded-lg bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600"
+                    >
+                      <option value="none">Normal vision</option>
+                      {Object.entries(cvdTypes).map(
+                        ([key, { label, detail }]) => (
+                          <option key={key} value={key}>
+                            {label} ({detail})
+                          </option>
+                        )
+                      )}
+                    </select>
+                  </label>
+                  <label
+                    className="flex items-center text-sm text-gray-700 dark:text-gray-300"
+                    title="Spread out colors that look alike with this color vision deficiency by adjusting their lightness"
+                  >
+                    CVD-safe
+                    <select
+                      value={cvdSafe}
+                      onChange={(e) => setSetting("cvdSafe", e.target.value)}
+                      className="ml-2 p-1 text-xs border border-gray-300 rounded-lg bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600"
+                    >
+                      <option value="none">Off</option>
+                      {Object.entries(cvdTypes).map(
+                        ([key, { label, detail }]) => (
+                          <option key={key} value={key}>
+                            {label} ({detail})
+                          </option>
+                        )
+                      )}
+                    </select>
+                  </label>
+                  <div className="flex items-center">
+                    <input
+                      id="showContrast"
+                      type="checkbox"
+                      checked={showContrast}
+                      onChange={(e) => setShowContrast(e.target.checked)}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
+                    <label
+                      htmlFor="showContrast"
+                      className="ml-2 block text-sm text-gray-700 dark:text-gray-300"
+                    >
+                      Check contrast
+                    </label>
+                  </div>
                   <div className="flex items-center">
                     <input
                       id="showColorValues"
@@ -1357,6 +1916,17 @@ const App = () => {
                     </label>
                   </div>
                 </div>
+                {cvdPreview !== "none" && (
+                  <p className="mt-2 text-xs text-right text-gray-500 dark:text-gray-400">
+                    {findCvdCollisions(
+                      flattenRows(displayedPalette),
+                      cvdPreview,
+                      { metric: colorMetric }
+                    ).length || "No"}{" "}
+                    pairs of colors are hard to tell apart with{" "}
+                    {cvdTypes[cvdPreview].label.toLowerCase()}.
+                  </p>
+                )}
               </div>
             )}
 
@@ -0,0 +1,131 @@
+import React from "react";
+import { rgbToHex } from "./color.js";
+import { contrastReport, contrastStandards } from "./contrast.js";
+
+const cellClass = "px-2 py-1 text-right font-mono";
+
+/**
+ * Contrast of every swatch against white and black track name text, by
+ * WCAG 2 ratio and APCA Lc. Swatches that fail the chosen standard with
+ * both text colors are listed first and highlighted.
+ */
+const ContrastReport = ({
+  palette,
+  standard,
+  fixContrast,
+  onChangeStandard,
+  onChangeFix,
+}) => {
+  const { label, threshold, format } = contrastStandards[standard];
+  const entries = palette
+    .flatMap((row) =>
+      row.colors.map((color, index) => ({
+        row: row.name,
+        index,
+        color,
+        report: contrastReport(color, standard),
+      }))
+    )
+    .sort((a, b) => a.report.passes - b.report.passes);
+  const failing = entries.filter(({ report }) => !report.passes).length;
+
+  return (
+    <div className="w-full mt-4 p-4 rounded-xl border border-gray-200 dark:border-gray-600 space-y-3">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700 dark:text-gray-300">
+        <label className="flex items-center">
+          Standard
+          <select
+            value={standard}
+            onChange={(e) => onChangeStandard(e.target.value)}
+            className="ml-2 p-1 text-xs border border-gray-300 rounded-lg bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600"
+          >
+            {Object.entries(contrastStandards).map(([key, option]) => (
+              <option key={key} value={key}>
+                {option.label} ({option.format(option.threshold)})
+              </option>
+            ))}
+          </select>
+        </label>
+        <label
+          className="flex items-center"
+          title="Adjust the lightness of failing colors, keeping their hue"
+        >
+          <input
+            type="checkbox"
+            checked={fixContrast}
+            onChange={(e) => onChangeFix(e.target.checked)}
+            className="h-4 w-4 mr-2 text-blue-600 border-gray-300 rounded"
+          />
+          Fix failing colors
+        </label>
+        <p
+          className={`ml-auto text-xs ${
+            failing > 0
+              ? "text-red-600 dark:text-red-400"
+              : "text-green-700 dark:text-green-400"
+          }`}
+        >
+          {failing > 0
+            ? `${failing} of ${entries.length} swatches reach neither ${format(
+                threshold
+              )} with white nor with black text (${label}).`
+            : `All ${entries.length} swatches pass ${label} (${format(
+                threshold
+              )}).`}
+        </p>
+      </div>
+
+      <div className="max-h-64 overflow-y-auto">
+        <table className="w-full text-xs text-gray-700 dark:text-gray-300">
+          <thead className="sticky top-0 bg-white dark:bg-gray-800">
+            <tr>
+              <th className="px-2 py-1 text-left">Swatch</th>
+              <th className={cellClass}>WCAG white</th>
+              <th className={cellClass}>WCAG black</th>
+              <th className={cellClass}>APCA white</th>
+              <th className={cellClass}>APCA black</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(({ row, index, color, report }) => {
+              const hexCode = rgbToHex(...color);
+              return (
+                <tr
+                  key={`${row}-${index}`}
+                  className={
+                    report.passes ? "" : "bg-red-50 dark:bg-red-900/30"
+                  }
+                >
+                  <td className="px-2 py-1 flex items-center">
+                    <span
+                      className="w-4 h-4 mr-2 rounded-sm border border-gray-300 dark:border-gray-600"
+                      style={{ backgroundColor: hexCode }}
+                    />
+                    <span className="font-mono">{hexCode}</span>
+                    <span className="ml-2 capitalize text-gray-500 dark:text-gray-400">
+                      {row} {index + 1}
+                    </span>
+                  </td>
+                  <td className={cellClass}>
+                    {contrastStandards.wcag.format(report.wcag.white)}
+                  </td>
+                  <td className={cellClass}>
+                    {contrastStandards.wcag.format(report.wcag.black)}
+                  </td>
+                  <td className={cellClass}>
+                    {contrastStandards.apca.format(report.apca.white)}
+                  </td>
+                  <td className={cellClass}>
+                    {contrastStandards.apca.format(report.apca.black)}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ContrastReport;
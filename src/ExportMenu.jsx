@@ -0,0 +1,58 @@
+import React, { useState } from "react";
+
+/**
+ * The main download button for the Studio One file, with a menu of the
+ * other formats next to it. `formats` is a list of `[key, label]`.
+ */
+const ExportMenu = ({ formats, disabled, onExport }) => {
+  const [open, setOpen] = useState(false);
+  const [primary, ...others] = formats;
+
+  return (
+    <div className="relative inline-flex items-center gap-2">
+      <button
+        onClick={() => onExport(primary[0])}
+        disabled={disabled}
+        className="
+          text-white font-semibold py-2 px-6 rounded-full
+          transition-all duration-300 transform
+          bg-gradient-to-r from-pink-500 to-purple-600
+          hover:from-pink-600 hover:to-purple-700
+          shadow-lg hover:shadow-xl
+          focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-offset-2 dark:focus:ring-offset-gray-800
+          active:scale-95
+          disabled:opacity-50 disabled:cursor-wait
+        "
+      >
+        Download Palette file
+      </button>
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={disabled}
+        aria-expanded={open}
+        className="text-sm font-semibold py-2 px-4 rounded-full border border-gray-300 text-gray-700 hover:bg-gray-100 dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-700 disabled:opacity-50"
+      >
+        Other formats ▾
+      </button>
+      {open && (
+        <ul className="absolute right-0 top-full mt-2 z-40 min-w-56 py-1 rounded-lg shadow-lg border border-gray-200 bg-white dark:bg-gray-800 dark:border-gray-600 text-left">
+          {others.map(([key, label]) => (
+            <li key={key}>
+              <button
+                onClick={() => {
+                  setOpen(false);
+                  onExport(key);
+                }}
+                className="w-full px-4 py-2 text-sm text-left text-gray-700 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700"
+              >
+                {label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
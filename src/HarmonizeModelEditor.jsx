@@ -0,0 +1,401 @@
+import React, { useState } from "react";
+import { hslToRgb, rgbToHex } from "./color.js";
+import { downloadBlob } from "./download.js";
+import {
+  harmonizeColors,
+  harmonizeModels,
+  parseHarmonizeModels,
+  serializeHarmonizeModels,
+  uniqueModelName,
+} from "./harmonize.js";
+
+// Reference swatches for the before/after comparison: twelve hues at three
+// lightness levels
+const referenceColors = [0.3, 0.5, 0.7].flatMap((l) =>
+  Array.from({ length: 12 }, (_, i) => hslToRgb(i / 12, 0.7, l))
+);
+
+const paramSliders = [
+  { key: "l_mult", label: "Lightness ×", min: 0, max: 2, step: 0.05 },
+  { key: "l_shift", label: "Lightness +", min: -0.5, max: 0.5, step: 0.01 },
+  { key: "s_mult", label: "Saturation ×", min: 0, max: 2, step: 0.05 },
+  { key: "s_shift", label: "Saturation +", min: -0.5, max: 0.5, step: 0.01 },
+];
+
+// Hue params; `scale` converts turns to the degrees shown
+const hueSliders = [
+  {
+    key: "hue_shift",
+    label: "Hue rotation",
+    min: -0.5,
+    max: 0.5,
+    step: 1 / 360,
+    scale: 360,
+  },
+  { key: "temperature", label: "Temperature", min: -1, max: 1, step: 0.05 },
+  {
+    key: "key_hue",
+    label: "Key hue",
+    min: 0,
+    max: 1,
+    step: 1 / 360,
+    scale: 360,
+  },
+  { key: "key_strength", label: "Pull to key", min: 0, max: 1, step: 0.05 },
+];
+
+const duotoneSliders = [
+  { index: 0, label: "Shadow hue" },
+  { index: 1, label: "Highlight hue" },
+];
+
+const rangeParams = [
+  { key: "l_range", label: "Lightness range" },
+  { key: "s_range", label: "Saturation range" },
+];
+
+const buttonClass =
+  "text-xs font-semibold py-1 px-3 rounded-full transition-colors duration-200 shadow-sm bg-gray-600 hover:bg-gray-700 text-white disabled:opacity-50";
+
+const inputClass =
+  "w-16 p-1 border border-gray-300 rounded text-xs font-mono bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600";
+
+const ParamSlider = ({
+  label,
+  value,
+  min,
+  max,
+  step,
+  scale = 1,
+  disabled,
+  onChange,
+}) => (
+  <label className="flex items-center text-xs text-gray-600 dark:text-gray-400">
+    <span className="w-24">{label}</span>
+    <input
+      type="range"
+      min={min}
+      max={max}
+      step={step}
+      value={value}
+      disabled={disabled}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="flex-1 h-2 rounded-lg appearance-none cursor-pointer bg-gray-200 dark:bg-gray-700 disabled:cursor-not-allowed"
+    />
+    <span className="w-10 ml-2 text-right font-mono">
+      {scale === 1 ? value.toFixed(2) : `${Math.round(value * scale)}°`}
+    </span>
+  </label>
+);
+
+const Strip = ({ label, colors }) => (
+  <div>
+    <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">{label}</p>
+    <div className="grid grid-cols-12 rounded overflow-hidden">
+      {colors.map((color, i) => (
+        <div
+          key={i}
+          className="h-5"
+          style={{ backgroundColor: rgbToHex(...color) }}
+        />
+      ))}
+    </div>
+  </div>
+);
+
+/**
+ * Editor for user harmonization models. The model being edited is the one
+ * selected for the palette, so the palette itself updates live too.
+ * Built-in models keep their lightness and saturation params read-only (clone
+ * one to change those), but their hue params can be adjusted through
+ * `presetHue`, a palette setting holding the overrides of each built-in model
+ * by name rather than part of the model. "None" has no hue params.
+ */
+const HarmonizeModelEditor = ({
+  model,
+  customModels,
+  presetHue,
+  onChangePresetHue,
+  onChangeModels,
+  onSelect,
+}) => {
+  const [error, setError] = useState(null);
+  const isCustom = model in customModels;
+  // "None" stays a plain passthrough; every other model has hue params
+  const hasHue = isCustom || model !== "none";
+  const hueOverrides = presetHue[model] ?? {};
+  const params = isCustom
+    ? customModels[model]
+    : { ...harmonizeModels[model], ...hueOverrides };
+
+  const setParams = (next) =>
+    onChangeModels({ ...customModels, [model]: next });
+
+  // Hue sliders edit the model itself, or the overrides on a built-in one
+  const setHueParam = (key, value) =>
+    isCustom
+      ? setParams({ ...params, [key]: value })
+      : onChangePresetHue({
+          ...presetHue,
+          [model]: { ...hueOverrides, [key]: value },
+        });
+
+  const resetHue = () => {
+    const next = { ...presetHue };
+    delete next[model];
+    onChangePresetHue(next);
+  };
+
+  const cloneModel = () => {
+    const name = uniqueModelName(
+      customModels,
+      model === "none" ? "custom" : `${model} copy`
+    );
+    onChangeModels({ ...customModels, [name]: { ...params } });
+    onSelect(name);
+  };
+
+  const renameModel = (name) => {
+    const trimmed = name.trim();
+    if (!trimmed || trimmed === model) return;
+    if (trimmed in customModels || trimmed in harmonizeModels) {
+      setError(`A model named "${trimmed}" already exists.`);
+      return;
+    }
+    setError(null);
+    onChangeModels(
+      Object.fromEntries(
+        Object.entries(customModels).map(([key, value]) => [
+          key === model ? trimmed : key,
+          value,
+        ])
+      )
+    );
+    onSelect(trimmed);
+  };
+
+  const deleteModel = () => {
+    const next = { ...customModels };
+    delete next[model];
+    onChangeModels(next);
+    onSelect("none");
+  };
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        onChangeModels({
+          ...customModels,
+          ...parseHarmonizeModels(e.target.result),
+        });
+        setError(null);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([serializeHarmonizeModels(customModels)], {
+      type: "application/json",
+    });
+    downloadBlob(blob, "harmonization-models.json");
+  };
+
+  return (
+    <div className="w-full mt-4 p-4 rounded-xl border border-gray-200 dark:border-gray-600 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        {isCustom ? (
+          <input
+            key={model}
+            type="text"
+            defaultValue={model}
+            onBlur={(e) => renameModel(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+            className="p-1 border border-gray-300 rounded text-sm bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600"
+            aria-label="Model name"
+          />
+        ) : (
+          <p className="text-sm font-medium text-gray-700 dark:text-gray-300">
+            {model}{" "}
+            <span className="text-xs font-normal text-gray-500 dark:text-gray-400">
+              {hasHue
+                ? "(built-in: hue applies to this palette; clone to edit the rest)"
+                : "(built-in: leaves colors unchanged; create a model to edit)"}
+            </span>
+          </p>
+        )}
+        <div className="ml-auto flex flex-wrap gap-2">
+          <button onClick={cloneModel} className={buttonClass}>
+            {model === "none" ? "New model" : "Clone"}
+          </button>
+          {!isCustom && Object.keys(hueOverrides).length > 0 && (
+            <button onClick={resetHue} className={buttonClass}>
+              Reset hue
+            </button>
+          )}
+          {isCustom && (
+            <button onClick={deleteModel} className={buttonClass}>
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="grid sm:grid-cols-2 gap-x-6 gap-y-2">
+        {hasHue &&
+          hueSliders.map(({ key, ...slider }) => (
+            <ParamSlider
+              key={key}
+              {...slider}
+              value={params[key] ?? 0}
+              onChange={(value) => setHueParam(key, value)}
+            />
+          ))}
+        {paramSliders.map(({ key, ...slider }) => (
+          <ParamSlider
+            key={key}
+            {...slider}
+            value={params[key] ?? 0}
+            disabled={!isCustom}
+            onChange={(value) => setParams({ ...params, [key]: value })}
+          />
+        ))}
+        {rangeParams.map(({ key, label }) => {
+          const range = params[key];
+          const setRange = (next) => {
+            const updated = { ...params };
+            if (next) updated[key] = next;
+            else delete updated[key];
+            setParams(updated);
+          };
+          return (
+            <div
+              key={key}
+              className="flex items-center text-xs text-gray-600 dark:text-gray-400"
+            >
+              <label className="w-24 flex items-center">
+                <input
+                  type="checkbox"
+                  checked={Boolean(range)}
+                  disabled={!isCustom}
+                  onChange={(e) => setRange(e.target.checked ? [0, 1] : null)}
+                  className="h-3 w-3 mr-1"
+                />
+                {label}
+              </label>
+              {range &&
+                range.map((value, i) => (
+                  <input
+                    key={i}
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={value}
+                    disabled={!isCustom}
+                    onChange={(e) => {
+                      const next = [...range];
+                      next[i] = Math.min(
+                        1,
+                        Math.max(0, Number(e.target.value))
+                      );
+                      if (next[0] <= next[1]) setRange(next);
+                    }}
+                    className={`${inputClass} ${i > 0 ? "ml-2" : ""}`}
+                  />
+                ))}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="grid sm:grid-cols-2 gap-x-6 gap-y-2">
+        <label className="flex items-center text-xs text-gray-600 dark:text-gray-400">
+          <input
+            type="checkbox"
+            checked={Boolean(params.duotone)}
+            disabled={!isCustom}
+            onChange={(e) => {
+              const next = { ...params };
+              if (e.target.checked) {
+                next.duotone = [0.6, 0.08];
+                next.duotone_mix = 1;
+              } else {
+                delete next.duotone;
+                delete next.duotone_mix;
+              }
+              setParams(next);
+            }}
+            className="h-3 w-3 mr-1"
+          />
+          Duotone
+        </label>
+        {params.duotone && (
+          <>
+            {duotoneSliders.map(({ index, label }) => (
+              <ParamSlider
+                key={index}
+                label={label}
+                value={params.duotone[index]}
+                min={0}
+                max={1}
+                step={1 / 360}
+                scale={360}
+                disabled={!isCustom}
+                onChange={(value) => {
+                  const duotone = [...params.duotone];
+                  duotone[index] = value;
+                  setParams({ ...params, duotone });
+                }}
+              />
+            ))}
+            <ParamSlider
+              label="Duotone mix"
+              value={params.duotone_mix ?? 1}
+              min={0}
+              max={1}
+              step={0.05}
+              disabled={!isCustom}
+              onChange={(value) => setParams({ ...params, duotone_mix: value })}
+            />
+          </>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <Strip label="Before" colors={referenceColors} />
+        <Strip label="After" colors={harmonizeColors(referenceColors, params)} />
+      </div>
+
+      <div className="flex flex-wrap gap-2 pt-2 border-t border-gray-200 dark:border-gray-600">
+        <button
+          onClick={handleExport}
+          disabled={Object.keys(customModels).length === 0}
+          className={buttonClass}
+        >
+          Export models
+        </button>
+        <label className={`${buttonClass} cursor-pointer`}>
+          Import models
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImport}
+            className="hidden"
+          />
+        </label>
+      </div>
+      {error && (
+        <p className="text-xs text-red-600 dark:text-red-400">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default HarmonizeModelEditor;
@@ -0,0 +1,71 @@
+import React, { useEffect, useRef } from "react";
+import PaletteThumbnail from "./PaletteThumbnail.jsx";
+
+const buttonClass =
+  "text-xs font-semibold py-1 px-3 rounded-full transition-colors duration-200 shadow-sm bg-gray-600 hover:bg-gray-700 text-white disabled:opacity-50 disabled:cursor-not-allowed";
+
+/**
+ * Horizontal strip of history entries, oldest first. Clicking an entry
+ * restores it; entries after the current one stay until the next edit.
+ */
+const HistoryTimeline = ({
+  entries,
+  index,
+  canUndo,
+  canRedo,
+  onUndo,
+  onRedo,
+  onJump,
+}) => {
+  const currentRef = useRef(null);
+
+  useEffect(() => {
+    currentRef.current?.scrollIntoView({
+      block: "nearest",
+      inline: "nearest",
+    });
+  }, [index]);
+
+  return (
+    <div className="w-full mt-4 p-3 rounded-xl border border-gray-200 dark:border-gray-600">
+      <div className="flex items-center mb-2">
+        <p className="text-sm font-medium text-gray-700 dark:text-gray-300">
+          History
+        </p>
+        <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+          Ctrl+Z / Ctrl+Shift+Z
+        </span>
+        <div className="ml-auto flex gap-2">
+          <button onClick={onUndo} disabled={!canUndo} className={buttonClass}>
+            Undo
+          </button>
+          <button onClick={onRedo} disabled={!canRedo} className={buttonClass}>
+            Redo
+          </button>
+        </div>
+      </div>
+      <div className="flex gap-2 overflow-x-auto pb-1">
+        {entries.map((entry, i) => (
+          <button
+            key={entry.id}
+            ref={i === index ? currentRef : null}
+            onClick={() => onJump(i)}
+            title={entry.label}
+            className={`flex-shrink-0 flex flex-col items-center p-1 rounded-lg border transition-colors duration-200 ${
+              i === index
+                ? "border-blue-500 bg-blue-50 dark:bg-gray-700"
+                : "border-transparent hover:border-gray-300 dark:hover:border-gray-500"
+            } ${i > index ? "opacity-50" : ""}`}
+          >
+            <PaletteThumbnail palette={entry.palette} />
+            <span className="mt-1 w-16 truncate text-[10px] text-gray-600 dark:text-gray-400">
+              {entry.label}
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryTimeline;
@@ -0,0 +1,305 @@
+import React, { useRef, useState } from "react";
+import { hslToRgb, rgbToHex } from "./color.js";
+import { downloadBlob } from "./download.js";
+import {
+  arcLength,
+  defaultHueCategories,
+  moveHueBoundary,
+  parseHueCategories,
+  removeHueCategory,
+  serializeHueCategories,
+  splitHueCategory,
+} from "./hueCategories.js";
+
+const SIZE = 240;
+const C = SIZE / 2;
+const OUTER = 110;
+const INNER = 72;
+const LABEL = 56;
+
+// Hue 0 points up and hues grow clockwise
+const pointAt = (hue, radius) => [
+  C + radius * Math.sin(hue * 2 * Math.PI),
+  C - radius * Math.cos(hue * 2 * Math.PI),
+];
+
+const hueAt = (x, y) => {
+  const turns = Math.atan2(x - C, C - y) / (2 * Math.PI);
+  return (turns + 1) % 1;
+};
+
+const hueColor = (hue, s = 0.8, l = 0.55) => rgbToHex(...hslToRgb(hue, s, l));
+
+// SVG path of the ring segment from `start` clockwise over `length` turns
+const ringPath = (start, length, outer = OUTER, inner = INNER) => {
+  const end = start + Math.min(length, 0.9999);
+  const large = length > 0.5 ? 1 : 0;
+  const [ox0, oy0] = pointAt(start, outer);
+  const [ox1, oy1] = pointAt(end, outer);
+  const [ix1, iy1] = pointAt(end, inner);
+  const [ix0, iy0] = pointAt(start, inner);
+  return `M${ox0} ${oy0}A${outer} ${outer} 0 ${large} 1 ${ox1} ${oy1}L${ix1} ${iy1}A${inner} ${inner} 0 ${large} 0 ${ix0} ${iy0}Z`;
+};
+
+const buttonClass =
+  "text-xs font-semibold py-1 px-3 rounded-full transition-colors duration-200 shadow-sm bg-gray-600 hover:bg-gray-700 text-white disabled:opacity-50";
+
+const uniqueName = (list, base) => {
+  const names = new Set(list.map(({ name }) => name));
+  let name = base;
+  for (let n = 2; names.has(name); n++) name = `${base} ${n}`;
+  return name;
+};
+
+/**
+ * Hue wheel for editing the categories of the categorical method. Drag the
+ * white handles to move the boundaries between categories and the dots to
+ * set the hue a missing category is filled with.
+ */
+const HueWheelEditor = ({ categories, onChange }) => {
+  const [selected, setSelected] = useState(0);
+  const [error, setError] = useState(null);
+  const [nameDraft, setNameDraft] = useState(null);
+  const dragRef = useRef(null);
+  const svgRef = useRef(null);
+  const current = categories[Math.min(selected, categories.length - 1)];
+  const selectedIndex = categories.indexOf(current);
+
+  const update = (index, changes) =>
+    onChange(
+      categories.map((category, i) =>
+        i === index ? { ...category, ...changes } : category
+      )
+    );
+
+  // Names must stay unique and non-empty, so a rename applies on blur
+  const commitName = () => {
+    const name = nameDraft?.trim();
+    const taken = categories.some(
+      (c, i) => i !== selectedIndex && c.name === name
+    );
+    if (name && !taken) update(selectedIndex, { name });
+    setNameDraft(null);
+  };
+
+  const toHue = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return hueAt(
+      ((event.clientX - rect.left) / rect.width) * SIZE,
+      ((event.clientY - rect.top) / rect.height) * SIZE
+    );
+  };
+
+  const startDrag = (event, kind, index) => {
+    event.stopPropagation();
+    svgRef.current.setPointerCapture(event.pointerId);
+    dragRef.current = { kind, index };
+    setSelected(index);
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const hue = toHue(event);
+    if (drag.kind === "boundary") {
+      const next = moveHueBoundary(categories, drag.index, hue);
+      if (next !== categories) onChange(next);
+    } else {
+      update(drag.index, { center: Math.round(hue * 1000) / 1000 });
+    }
+  };
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        onChange(parseHueCategories(e.target.result));
+        setSelected(0);
+        setError(null);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleSave = () => {
+    const blob = new Blob([serializeHueCategories(categories)], {
+      type: "application/json",
+    });
+    downloadBlob(blob, "hue-categories.json");
+  };
+
+  return (
+    <div className="w-full mt-4 p-4 rounded-xl border border-gray-200 dark:border-gray-600 flex flex-col sm:flex-row items-center gap-6">
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${SIZE} ${SIZE}`}
+        className="w-60 h-60 flex-shrink-0 touch-none select-none"
+        onPointerMove={handlePointerMove}
+        onPointerUp={() => {
+          dragRef.current = null;
+        }}
+        onPointerCancel={() => {
+          dragRef.current = null;
+        }}
+      >
+        {Array.from({ length: 72 }, (_, i) => (
+          <path
+            key={i}
+            d={ringPath(i / 72, 1 / 72 + 0.002, OUTER, OUTER - 8)}
+            fill={hueColor(i / 72)}
+          />
+        ))}
+        {categories.map((category, index) => {
+          const length = arcLength(category.start, category.end);
+          const [lx, ly] = pointAt(category.start + length / 2, LABEL);
+          return (
+            <g key={index} onClick={() => setSelected(index)}>
+              <path
+                d={ringPath(category.start, length, OUTER - 10, INNER)}
+                fill={hueColor(category.center, 0.6, 0.6)}
+                stroke={index === selectedIndex ? "#2563eb" : "#ffffff"}
+                strokeWidth={index === selectedIndex ? 3 : 1}
+                className="cursor-pointer"
+              />
+              <text
+                x={lx}
+                y={ly}
+                textAnchor="middle"
+                dominantBaseline="middle"
+                className="fill-gray-600 dark:fill-gray-300 pointer-events-none"
+                fontSize="9"
+              >
+                {category.name}
+              </text>
+            </g>
+          );
+        })}
+        {categories.map((category, index) => {
+          const [x0, y0] = pointAt(category.start, INNER - 4);
+          const [x1, y1] = pointAt(category.start, OUTER + 4);
+          const [cx, cy] = pointAt(category.center, (OUTER + INNER) / 2 - 5);
+          return (
+            <g key={index}>
+              <line
+                x1={x0}
+                y1={y0}
+                x2={x1}
+                y2={y1}
+                stroke="#1f2937"
+                strokeWidth="6"
+                strokeLinecap="round"
+                className="cursor-grab"
+                onPointerDown={(e) => startDrag(e, "boundary", index)}
+              />
+              <line
+                x1={x0}
+                y1={y0}
+                x2={x1}
+                y2={y1}
+                stroke="#ffffff"
+                strokeWidth="3"
+                strokeLinecap="round"
+                className="pointer-events-none"
+              />
+              <circle
+                cx={cx}
+                cy={cy}
+                r="5"
+                fill={hueColor(category.center)}
+                stroke="#ffffff"
+                strokeWidth="2"
+                className="cursor-grab"
+                onPointerDown={(e) => startDrag(e, "center", index)}
+              />
+            </g>
+          );
+        })}
+      </svg>
+
+      <div className="flex-1 w-full space-y-3">
+        {current && (
+          <div className="space-y-2">
+            <label className="flex items-center text-xs text-gray-600 dark:text-gray-400">
+              <span className="w-16">Name</span>
+              <input
+                type="text"
+                value={nameDraft ?? current.name}
+                onChange={(e) => setNameDraft(e.target.value)}
+                onBlur={commitName}
+                onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+                className="flex-1 p-1 border border-gray-300 rounded text-sm bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600"
+              />
+            </label>
+            <p className="text-xs text-gray-600 dark:text-gray-400">
+              Hues {Math.round(current.start * 360)}°–
+              {Math.round(current.end * 360)}°, fills missing rows at{" "}
+              {Math.round(current.center * 360)}°
+            </p>
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={() =>
+                  onChange(
+                    splitHueCategory(
+                      categories,
+                      selectedIndex,
+                      uniqueName(categories, `${current.name} 2`)
+                    )
+                  )
+                }
+                className={buttonClass}
+              >
+                Split
+              </button>
+              <button
+                onClick={() => {
+                  onChange(removeHueCategory(categories, selectedIndex));
+                  setSelected(Math.max(0, selectedIndex - 1));
+                }}
+                disabled={categories.length <= 1}
+                className={buttonClass}
+                title="Merge into the previous category"
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="flex flex-wrap gap-2 pt-2 border-t border-gray-200 dark:border-gray-600">
+          <button onClick={handleSave} className={buttonClass}>
+            Save set
+          </button>
+          <label className={`${buttonClass} cursor-pointer`}>
+            Import set
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={handleImport}
+              className="hidden"
+            />
+          </label>
+          <button
+            onClick={() => {
+              onChange(defaultHueCategories);
+              setError(null);
+            }}
+            disabled={categories === defaultHueCategories}
+            className={buttonClass}
+          >
+            Reset
+          </button>
+        </div>
+        {error && (
+          <p className="text-xs text-red-600 dark:text-red-400">{error}</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HueWheelEditor;
@@ -0,0 +1,243 @@
+import React, { useState } from "react";
+import { downloadBlob } from "./download.js";
+import {
+  parseLibrary,
+  parseTags,
+  searchLibrary,
+  serializeLibrary,
+} from "./paletteLibrary.js";
+import PaletteThumbnail from "./PaletteThumbnail.jsx";
+
+const buttonClass =
+  "text-xs font-semibold py-1 px-3 rounded-full transition-colors duration-200 shadow-sm bg-gray-600 hover:bg-gray-700 text-white disabled:opacity-50 disabled:cursor-not-allowed";
+
+const inputClass =
+  "p-1 border border-gray-300 rounded text-sm bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600";
+
+// Name and tags for the palette in the grid. With `current`, saving
+// updates that entry unless "Save as new" is used.
+const SaveForm = ({ current, defaultName, disabled, onSave }) => {
+  const [name, setName] = useState(current?.name ?? defaultName);
+  const [tags, setTags] = useState(current?.tags.join(", ") ?? "");
+  const save = (asNew) =>
+    onSave({ name: name.trim() || defaultName, tags: parseTags(tags) }, asNew);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Name"
+        aria-label="Palette name"
+        className={inputClass}
+      />
+      <input
+        type="text"
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+        placeholder="Tags, comma separated"
+        aria-label="Tags"
+        className={`${inputClass} flex-1 min-w-40`}
+      />
+      <button
+        onClick={() => save(false)}
+        disabled={disabled}
+        className={buttonClass}
+      >
+        {current ? "Save changes" : "Save to library"}
+      </button>
+      {current && (
+        <button
+          onClick={() => save(true)}
+          disabled={disabled}
+          className={buttonClass}
+        >
+          Save as new
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Saved palettes with search by name and tag. Entries can be reopened into
+ * the grid, exported in any of `formats` (a list of `[key, label]`) or
+ * deleted, and the whole library backed up to and restored from one JSON
+ * file.
+ */
+const PaletteLibrary = ({
+  entries,
+  error,
+  current,
+  defaultName,
+  canSave,
+  formats,
+  onSave,
+  onOpen,
+  onExport,
+  onDelete,
+  onImport,
+}) => {
+  const [query, setQuery] = useState("");
+  const [importError, setImportError] = useState(null);
+  const shown = searchLibrary(entries, query);
+
+  const handleBackup = () => {
+    const blob = new Blob([serializeLibrary(entries)], {
+      type: "application/json",
+    });
+    downloadBlob(blob, "palette-library.json");
+  };
+
+  const handleRestore = (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        onImport(parseLibrary(e.target.result));
+        setImportError(null);
+      } catch (err) {
+        setImportError(err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="w-full p-4 rounded-xl border border-gray-200 dark:border-gray-600 space-y-3">
+      <SaveForm
+        key={current?.id ?? "new"}
+        current={current}
+        defaultName={defaultName}
+        disabled={!canSave}
+        onSave={onSave}
+      />
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search names and tags"
+          aria-label="Search the library"
+          className={`${inputClass} flex-1 min-w-40`}
+        />
+        <button
+          onClick={handleBackup}
+          disabled={entries.length === 0}
+          className={buttonClass}
+        >
+          Export backup
+        </button>
+        <label className={`${buttonClass} cursor-pointer`}>
+          Import backup
+          <input
+            type="file"
+            onChange={handleRestore}
+            className="hidden"
+            accept=".json,application/json"
+          />
+        </label>
+      </div>
+      {(error || importError) && (
+        <p className="text-xs text-red-600 dark:text-red-400">
+          {importError ?? error}
+        </p>
+      )}
+
+      {shown.length > 0 ? (
+        <ul className="grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+          {shown.map((entry) => (
+            <li
+              key={entry.id}
+              className={`flex gap-3 p-2 rounded-lg border ${
+                entry.id === current?.id
+                  ? "border-blue-500"
+                  : "border-gray-200 dark:border-gray-600"
+              }`}
+            >
+              <div className="flex flex-col gap-1 shrink-0">
+                {entry.thumbnail && (
+                  <img
+                    src={entry.thumbnail}
+                    alt=""
+                    className="w-20 h-12 object-cover rounded"
+                  />
+                )}
+                <PaletteThumbnail palette={entry.rows} className="w-20 h-12" />
+              </div>
+              <div className="flex flex-col min-w-0 flex-1 gap-1">
+                <p
+                  className="text-sm font-medium truncate text-gray-800 dark:text-gray-200"
+                  title={entry.name}
+                >
+                  {entry.name}
+                </p>
+                <p className="text-[10px] text-gray-500 dark:text-gray-400">
+                  {new Date(entry.updated).toLocaleString()}
+                </p>
+                {entry.tags.length > 0 && (
+                  <div className="flex flex-wrap gap-1">
+                    {entry.tags.map((tag) => (
+                      <button
+                        key={tag}
+                        onClick={() => setQuery(tag)}
+                        className="px-2 rounded-full text-[10px] bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200"
+                      >
+                        {tag}
+                      </button>
+                    ))}
+                  </div>
+                )}
+                <div className="flex flex-wrap items-center gap-1 mt-auto">
+                  <button
+                    onClick={() => onOpen(entry)}
+                    className={buttonClass}
+                  >
+                    Open
+                  </button>
+                  <select
+                    value=""
+                    onChange={(e) => onExport(entry, e.target.value)}
+                    aria-label={`Export ${entry.name}`}
+                    className="p-1 text-xs border border-gray-300 rounded-lg bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600 w-24"
+                  >
+                    <option value="" disabled>
+                      Export…
+                    </option>
+                    {formats.map(([key, label]) => (
+                      <option key={key} value={key}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => {
+                      if (window.confirm(`Delete "${entry.name}"?`)) {
+                        onDelete(entry);
+                      }
+                    }}
+                    className="text-xs text-red-600 hover:underline dark:text-red-400 ml-auto"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-center text-gray-500 dark:text-gray-400">
+          {entries.length === 0
+            ? "Saved palettes will appear here."
+            : "No saved palette matches."}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PaletteLibrary;
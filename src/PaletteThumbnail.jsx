@@ -0,0 +1,35 @@
+import React from "react";
+import { rgbToHex } from "./color.js";
+
+// Longest row drawn in a thumbnail; longer rows are sampled evenly
+const THUMB_COLUMNS = 12;
+
+// Miniature of palette rows, one stripe per row
+const PaletteThumbnail = ({ palette, className = "w-16 h-10" }) => (
+  <div
+    className={`flex flex-col rounded overflow-hidden bg-gray-200 dark:bg-gray-600 ${className}`}
+  >
+    {palette
+      .filter((row) => row.colors.length > 0)
+      .map((row, rowIndex) => {
+        const step = Math.max(1, row.colors.length / THUMB_COLUMNS);
+        const cells = [];
+        for (let i = 0; i < row.colors.length; i += step) {
+          cells.push(row.colors[Math.floor(i)]);
+        }
+        return (
+          <div key={rowIndex} className="flex flex-1">
+            {cells.map((color, i) => (
+              <div
+                key={i}
+                className="flex-1"
+                style={{ backgroundColor: rgbToHex(...color) }}
+              />
+            ))}
+          </div>
+        );
+      })}
+  </div>
+);
+
+export default PaletteThumbnail;
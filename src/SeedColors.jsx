@@ -0,0 +1,57 @@
+import React from "react";
+import { rgbToHex } from "./color.js";
+
+/**
+ * Colors picked with the eyedropper. Each one either seeds a row of its own
+ * or replaces the base color of the row chosen in its menu.
+ */
+const SeedColors = ({ seedColors, rowNames, onChange }) => {
+  const setTarget = (index, target) =>
+    onChange(
+      seedColors.map((seed, i) =>
+        i === index ? { ...seed, target: target || null } : seed
+      )
+    );
+
+  return (
+    <div className="w-full mt-4 flex flex-wrap justify-center gap-2">
+      {seedColors.map(({ color, target }, index) => {
+        const hexCode = rgbToHex(...color);
+        return (
+          <div
+            key={index}
+            className="flex items-center p-1 pr-2 rounded-full border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-800"
+          >
+            <span
+              className="w-6 h-6 rounded-full border border-gray-300 dark:border-gray-600"
+              style={{ backgroundColor: hexCode }}
+              title={hexCode}
+            />
+            <select
+              value={target ?? ""}
+              onChange={(e) => setTarget(index, e.target.value)}
+              className="ml-2 p-1 text-xs border border-gray-300 rounded-lg bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600"
+              aria-label={`Row for ${hexCode}`}
+            >
+              <option value="">New row</option>
+              {rowNames.map((name) => (
+                <option key={name} value={name}>
+                  Replace {name}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => onChange(seedColors.filter((_, i) => i !== index))}
+              className="ml-1 text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 text-sm"
+              aria-label={`Remove ${hexCode}`}
+            >
+              ×
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default SeedColors;
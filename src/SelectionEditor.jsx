@@ -0,0 +1,231 @@
+import React, { useRef, useState } from "react";
+import { selectionTools } from "./selection.js";
+
+const shapeColors = {
+  include: { fill: "rgba(34, 197, 94, 0.3)", stroke: "rgb(34, 197, 94)" },
+  exclude: { fill: "rgba(239, 68, 68, 0.3)", stroke: "rgb(239, 68, 68)" },
+};
+
+const toolButtonClass = (active) =>
+  `text-xs font-semibold py-1 px-3 rounded-full transition-colors duration-200 shadow-sm ${
+    active
+      ? "bg-blue-600 text-white"
+      : "bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500"
+  }`;
+
+// Draws one shape in an SVG whose user space is the image's pixel size
+const Shape = ({ shape, width, height }) => {
+  const { fill, stroke } = shapeColors[shape.mode];
+  const points = shape.points.map(([x, y]) => [x * width, y * height]);
+  const strokeWidth = Math.max(width, height) / 200;
+
+  switch (shape.type) {
+    case "rect": {
+      const [[x0, y0], [x1, y1]] = points;
+      return (
+        <rect
+          x={Math.min(x0, x1)}
+          y={Math.min(y0, y1)}
+          width={Math.abs(x1 - x0)}
+          height={Math.abs(y1 - y0)}
+          fill={fill}
+          stroke={stroke}
+          strokeWidth={strokeWidth}
+        />
+      );
+    }
+    case "lasso":
+      return (
+        <polygon
+          points={points.join(" ")}
+          fill={fill}
+          stroke={stroke}
+          strokeWidth={strokeWidth}
+        />
+      );
+    default:
+      return (
+        <polyline
+          points={points.join(" ")}
+          fill="none"
+          stroke={fill}
+          strokeWidth={shape.size * 2 * Math.max(width, height)}
+          strokeLinecap="round"
+          strokeLinejoin="round"
+        />
+      );
+  }
+};
+
+/**
+ * The source image preview with rectangle, lasso and brush tools for marking
+ * areas to include in or exclude from sampling. Shapes are reported in image
+ * fractions, see selection.js.
+ *
+ * With `onPick`, an eyedropper tool reports clicked points in the same
+ * fractions instead of drawing.
+ */
+const SelectionEditor = ({ src, alt, selection, onChange, onPick }) => {
+  const [tool, setTool] = useState("rect");
+  const [mode, setMode] = useState("include");
+  const [brushSize, setBrushSize] = useState(0.04);
+  const [draft, setDraft] = useState(null);
+  const [size, setSize] = useState({ width: 1, height: 1 });
+  const imgRef = useRef(null);
+
+  const toPoint = (event) => {
+    const rect = imgRef.current.getBoundingClientRect();
+    const clamp = (v) => Math.min(1, Math.max(0, v));
+    return [
+      clamp((event.clientX - rect.left) / rect.width),
+      clamp((event.clientY - rect.top) / rect.height),
+    ];
+  };
+
+  const handlePointerDown = (event) => {
+    if (event.button !== 0) return;
+    const point = toPoint(event);
+    if (tool === "eyedropper") {
+      onPick(point);
+      return;
+    }
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDraft({
+      type: tool,
+      mode,
+      points: tool === "rect" ? [point, point] : [point],
+      ...(tool === "brush" && { size: brushSize }),
+    });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!draft) return;
+    const point = toPoint(event);
+    if (draft.type === "rect") {
+      setDraft({ ...draft, points: [draft.points[0], point] });
+      return;
+    }
+    const [lx, ly] = draft.points[draft.points.length - 1];
+    if (Math.hypot(point[0] - lx, point[1] - ly) > 0.005) {
+      setDraft({ ...draft, points: [...draft.points, point] });
+    }
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    const [[x0, y0], [x1, y1] = [x0, y0]] = draft.points;
+    const valid =
+      draft.type === "rect"
+        ? Math.abs(x1 - x0) > 0.01 && Math.abs(y1 - y0) > 0.01
+        : draft.type === "lasso"
+          ? draft.points.length >= 3
+          : true;
+    if (valid) onChange([...selection, draft]);
+    setDraft(null);
+  };
+
+  const shapes = draft ? [...selection, draft] : selection;
+
+  return (
+    <div className="flex flex-col items-center">
+      <div className="relative inline-block">
+        <img
+          ref={imgRef}
+          src={src}
+          alt={alt}
+          onLoad={(e) =>
+            setSize({
+              width: e.target.naturalWidth,
+              height: e.target.naturalHeight,
+            })
+          }
+          className="max-w-full h-auto rounded-lg shadow-md max-h-64 select-none"
+          draggable={false}
+        />
+        <svg
+          viewBox={`0 0 ${size.width} ${size.height}`}
+          preserveAspectRatio="none"
+          className="absolute inset-0 w-full h-full rounded-lg cursor-crosshair touch-none"
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={() => setDraft(null)}
+        >
+          {shapes.map((shape, i) => (
+            <Shape
+              key={i}
+              shape={shape}
+              width={size.width}
+              height={size.height}
+            />
+          ))}
+        </svg>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-center gap-2 mt-3">
+        {Object.entries(selectionTools).map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setTool(key)}
+            className={toolButtonClass(tool === key)}
+          >
+            {label}
+          </button>
+        ))}
+        {onPick && (
+          <button
+            onClick={() => setTool("eyedropper")}
+            className={toolButtonClass(tool === "eyedropper")}
+            title="Click the image to pick a seed color"
+          >
+            Eyedropper
+          </button>
+        )}
+        <span className="mx-1 h-4 border-l border-gray-300 dark:border-gray-600" />
+        <button
+          onClick={() => setMode("include")}
+          className={toolButtonClass(mode === "include")}
+          title="Sample only the marked areas"
+        >
+          Include
+        </button>
+        <button
+          onClick={() => setMode("exclude")}
+          className={toolButtonClass(mode === "exclude")}
+          title="Leave the marked areas out of sampling"
+        >
+          Exclude
+        </button>
+        {tool === "brush" && (
+          <input
+            type="range"
+            min="0.01"
+            max="0.1"
+            step="0.005"
+            value={brushSize}
+            onChange={(e) => setBrushSize(Number(e.target.value))}
+            className="w-20 h-2 rounded-lg appearance-none cursor-pointer bg-gray-200 dark:bg-gray-600"
+            aria-label="Brush size"
+          />
+        )}
+        <span className="mx-1 h-4 border-l border-gray-300 dark:border-gray-600" />
+        <button
+          onClick={() => onChange(selection.slice(0, -1))}
+          disabled={selection.length === 0}
+          className={`${toolButtonClass(false)} disabled:opacity-50`}
+        >
+          Undo shape
+        </button>
+        <button
+          onClick={() => onChange([])}
+          disabled={selection.length === 0}
+          className={`${toolButtonClass(false)} disabled:opacity-50`}
+        >
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SelectionEditor;
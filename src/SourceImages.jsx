@@ -0,0 +1,79 @@
+import React from "react";
+
+/**
+ * Thumbnails of the images a palette is pooled from, each with a weight
+ * slider and a remove button. Clicking a thumbnail shows it in the preview.
+ */
+const SourceImages = ({
+  images,
+  activeId,
+  onSelect,
+  onWeightChange,
+  onRemove,
+  onAdd,
+}) => (
+  <div className="w-full mt-4 flex flex-wrap justify-center gap-3">
+    {images.map(({ id, name, src, weight }) => (
+      <div
+        key={id}
+        className={`relative group flex flex-col items-center w-28 p-1 rounded-lg border transition-colors duration-200 ${
+          id === activeId
+            ? "border-blue-500"
+            : "border-gray-200 dark:border-gray-600"
+        }`}
+      >
+        <button
+          onClick={() => onSelect(id)}
+          className="w-full"
+          title={name}
+        >
+          <img
+            src={src}
+            alt={name}
+            className={`w-full h-16 object-cover rounded ${
+              weight === 0 ? "opacity-40" : ""
+            }`}
+          />
+        </button>
+        <button
+          onClick={() => onRemove(id)}
+          className="absolute top-0 right-0 -mt-2 -mr-2 w-5 h-5 rounded-full bg-gray-800 text-white text-xs leading-none opacity-0 group-hover:opacity-100 transition-opacity duration-200"
+          title="Remove image"
+          aria-label={`Remove ${name}`}
+        >
+          ×
+        </button>
+        {images.length > 1 && (
+          <label className="w-full mt-1 text-[10px] text-gray-500 dark:text-gray-400 text-center">
+            <input
+              type="range"
+              min="0"
+              max="3"
+              step="0.1"
+              value={weight}
+              onChange={(e) => onWeightChange(id, Number(e.target.value))}
+              className="w-full h-1 rounded-lg appearance-none cursor-pointer bg-gray-200 dark:bg-gray-600"
+              aria-label={`Weight of ${name}`}
+            />
+            Weight {weight.toFixed(1)}
+          </label>
+        )}
+      </div>
+    ))}
+    <label
+      className="flex items-center justify-center w-28 h-[4.5rem] rounded-lg border-2 border-dashed border-gray-300 dark:border-gray-600 text-2xl text-gray-400 hover:text-gray-600 hover:border-gray-400 dark:hover:text-gray-200 cursor-pointer transition-colors duration-200"
+      title="Add images or a video"
+    >
+      +
+      <input
+        type="file"
+        multiple
+        onChange={onAdd}
+        className="hidden"
+        accept="image/*,video/*"
+      />
+    </label>
+  </div>
+);
+
+export default SourceImages;
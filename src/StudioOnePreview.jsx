@@ -0,0 +1,232 @@
+import React, { useState } from "react";
+import { rgbToHex } from "./color.js";
+import { textColorFor } from "./contrast.js";
+
+// Approximations of Studio One's dark and light arrangement colors
+const themes = {
+  dark: {
+    label: "Dark",
+    background: "#1b1e21",
+    panel: "#2b2f34",
+    lane: "#23272b",
+    divider: "#111315",
+    text: "#c7ccd1",
+    muted: "#7d848c",
+  },
+  light: {
+    label: "Light",
+    background: "#aeb3b9",
+    panel: "#d3d6da",
+    lane: "#c1c5ca",
+    divider: "#979ca3",
+    text: "#1d2024",
+    muted: "#5b6169",
+  },
+};
+
+const trackNames = [
+  "Kick",
+  "Snare",
+  "Hats",
+  "Toms",
+  "Overheads",
+  "Bass",
+  "Synth Bass",
+  "Keys",
+  "Piano",
+  "Pad",
+  "Strings",
+  "Lead",
+  "Arp",
+  "Guitar L",
+  "Guitar R",
+  "Lead Vox",
+  "Backing Vox",
+  "FX",
+];
+
+const trackName = (index) =>
+  `${trackNames[index % trackNames.length]}${
+    index >= trackNames.length
+      ? ` ${Math.floor(index / trackNames.length) + 1}`
+      : ""
+  }`;
+
+// Darker shade for an event's title bar
+const shade = (color, amount) =>
+  rgbToHex(...color.map((c) => Math.round(c * (1 - amount))));
+
+// Deterministic fake waveform, so a track looks the same on every render
+const waveform = (seed, points = 48) =>
+  Array.from({ length: points }, (_, i) => {
+    const x = Math.sin((i + 1) * 12.9898 + seed * 78.233) * 43758.5453;
+    return 0.15 + 0.75 * Math.abs(x - Math.floor(x) - 0.5) * 2;
+  });
+
+const Event = ({ color, name, seed, left, width, contrastStandard }) => {
+  const text = textColorFor(color, contrastStandard);
+  const levels = waveform(seed);
+  const step = 100 / (levels.length - 1);
+  const top = levels.map((v, i) => `${i * step},${50 - v * 45}`);
+  const bottom = levels
+    .map((v, i) => `${i * step},${50 + v * 45}`)
+    .reverse();
+  return (
+    <div
+      className="absolute top-1 bottom-1 rounded-sm overflow-hidden flex flex-col"
+      style={{
+        left: `${left}%`,
+        width: `${width}%`,
+        backgroundColor: rgbToHex(...color),
+        border: `1px solid ${shade(color, 0.35)}`,
+      }}
+    >
+      <div
+        className="px-1 text-[10px] leading-4 truncate"
+        style={{ backgroundColor: shade(color, 0.15), color: text }}
+      >
+        {name}
+      </div>
+      <svg
+        viewBox="0 0 100 100"
+        preserveAspectRatio="none"
+        className="flex-1 w-full"
+      >
+        <polygon
+          points={[...top, ...bottom].join(" ")}
+          fill={text}
+          fillOpacity="0.45"
+        />
+      </svg>
+    </div>
+  );
+};
+
+const toggleClass = (active) =>
+  `text-xs font-semibold py-1 px-3 rounded-full transition-colors duration-200 shadow-sm ${
+    active
+      ? "bg-blue-600 text-white"
+      : "bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-600 dark:text-gray-200 dark:hover:bg-gray-500"
+  }`;
+
+/**
+ * How the palette will look in Studio One: the color picker grid, which
+ * wraps the exported color list every `columns` colors, and an arrangement
+ * with one track per color, on the dark or light UI background. Event names
+ * use the label color that reads best under `contrastStandard`.
+ */
+const StudioOnePreview = ({ colors, columns, contrastStandard }) => {
+  const [theme, setTheme] = useState("dark");
+  const ui = themes[theme];
+
+  return (
+    <div className="w-full space-y-4">
+      <div className="flex flex-wrap items-center justify-center gap-2">
+        {Object.entries(themes).map(([key, { label }]) => (
+          <button
+            key={key}
+            onClick={() => setTheme(key)}
+            className={toggleClass(theme === key)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div
+        className="mx-auto w-fit p-2 rounded shadow-lg"
+        style={{ backgroundColor: ui.panel }}
+      >
+        <div
+          className="grid gap-0.5"
+          style={{ gridTemplateColumns: `repeat(${columns}, 1.25rem)` }}
+        >
+          {colors.map((color, i) => (
+            <div
+              key={i}
+              className="w-5 h-5"
+              style={{
+                backgroundColor: rgbToHex(...color),
+                outline: `1px solid ${ui.divider}`,
+              }}
+              title={rgbToHex(...color)}
+            />
+          ))}
+        </div>
+      </div>
+
+      <div
+        className="rounded overflow-hidden max-h-96 overflow-y-auto"
+        style={{ backgroundColor: ui.background }}
+      >
+        {colors.map((color, i) => {
+          const name = trackName(i);
+          return (
+            <div
+              key={i}
+              className="flex h-12"
+              style={{ borderBottom: `1px solid ${ui.divider}` }}
+            >
+              <div
+                className="flex items-center w-40 flex-shrink-0"
+                style={{
+                  backgroundColor: ui.panel,
+                  borderRight: `1px solid ${ui.divider}`,
+                }}
+              >
+                <div
+                  className="w-1.5 self-stretch"
+                  style={{ backgroundColor: rgbToHex(...color) }}
+                />
+                <span
+                  className="w-6 text-[10px] text-right"
+                  style={{ color: ui.muted }}
+                >
+                  {i + 1}
+                </span>
+                <span
+                  className="flex-1 ml-2 text-xs truncate"
+                  style={{ color: ui.text }}
+                >
+                  {name}
+                </span>
+                {["M", "S"].map((button) => (
+                  <span
+                    key={button}
+                    className="w-4 h-4 mr-1 text-[9px] leading-4 text-center rounded-sm"
+                    style={{ backgroundColor: ui.lane, color: ui.muted }}
+                  >
+                    {button}
+                  </span>
+                ))}
+              </div>
+              <div
+                className="relative flex-1"
+                style={{ backgroundColor: ui.lane }}
+              >
+                <Event
+                  color={color}
+                  name={name}
+                  seed={i}
+                  left={2 + (i % 3) * 4}
+                  width={38}
+                  contrastStandard={contrastStandard}
+                />
+                <Event
+                  color={color}
+                  name={`${name} (2)`}
+                  seed={i + 0.5}
+                  left={50 + (i % 2) * 6}
+                  width={30}
+                  contrastStandard={contrastStandard}
+                />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default StudioOnePreview;
@@ -0,0 +1,215 @@
+import React, { useState } from "react";
+import {
+  hexToRgb,
+  hslToRgb,
+  oklchToRgb,
+  rgbToHex,
+  rgbToHsl,
+  rgbToOklch,
+} from "./color.js";
+
+const ChannelSlider = ({ label, value, min, max, step, onChange }) => (
+  <label className="flex items-center text-xs text-gray-600 dark:text-gray-400">
+    <span className="w-6 font-mono">{label}</span>
+    <input
+      type="range"
+      min={min}
+      max={max}
+      step={step}
+      value={value}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="flex-1 h-2 rounded-lg appearance-none cursor-pointer bg-gray-200 dark:bg-gray-700"
+    />
+    <input
+      type="number"
+      min={min}
+      max={max}
+      step={step}
+      value={Number(value.toFixed(step < 1 ? 3 : 0))}
+      onChange={(e) => {
+        const n = Number(e.target.value);
+        if (e.target.value !== "" && Number.isFinite(n)) {
+          onChange(Math.min(max, Math.max(min, n)));
+        }
+      }}
+      className="ml-2 w-16 p-1 border border-gray-300 rounded font-mono bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600"
+    />
+  </label>
+);
+
+const buttonClass =
+  "text-xs font-semibold py-1 px-3 rounded-full transition-colors duration-200 shadow-sm";
+
+/**
+ * Color picker for one palette swatch with hex, HSL and OKLCH input.
+ *
+ * The HSL and OKLCH channels are kept in local state rather than derived from
+ * the RGB value on every render, so hue does not snap to 0 while a slider
+ * passes through grey.
+ */
+const SwatchEditor = ({
+  color,
+  onChange,
+  onDuplicate,
+  onInsert,
+  onDelete,
+  onClose,
+}) => {
+  const hex = rgbToHex(...color);
+  const [syncedHex, setSyncedHex] = useState(hex);
+  const [hexDraft, setHexDraft] = useState(hex);
+  const [hsl, setHsl] = useState(() => rgbToHsl(...color));
+  const [oklch, setOklch] = useState(() => rgbToOklch(...color));
+
+  // Another swatch was selected, or the color changed outside the editor
+  if (hex !== syncedHex) {
+    setSyncedHex(hex);
+    setHexDraft(hex);
+    setHsl(rgbToHsl(...color));
+    setOklch(rgbToOklch(...color));
+  }
+
+  const emit = (rgb, source) => {
+    const nextHex = rgbToHex(...rgb);
+    setSyncedHex(nextHex);
+    if (source !== "hex") setHexDraft(nextHex);
+    if (source !== "hsl") setHsl(rgbToHsl(...rgb));
+    if (source !== "oklch") setOklch(rgbToOklch(...rgb));
+    onChange(rgb);
+  };
+
+  const setHslChannel = (i, value) => {
+    const next = [...hsl];
+    next[i] = value;
+    setHsl(next);
+    emit(hslToRgb(...next), "hsl");
+  };
+
+  const setOklchChannel = (i, value) => {
+    const next = [...oklch];
+    next[i] = value;
+    setOklch(next);
+    emit(oklchToRgb(...next), "oklch");
+  };
+
+  const handleHexChange = (value) => {
+    setHexDraft(value);
+    const rgb = hexToRgb(value);
+    if (rgb) emit(rgb, "hex");
+  };
+
+  return (
+    <div className="w-full max-w-md mx-auto mt-4 p-4 rounded-xl border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700">
+      <div className="flex items-center mb-3">
+        <input
+          type="color"
+          value={hex.toLowerCase()}
+          onChange={(e) => handleHexChange(e.target.value)}
+          className="w-12 h-12 rounded-lg cursor-pointer border border-gray-300 dark:border-gray-600"
+          aria-label="Pick color"
+        />
+        <input
+          type="text"
+          value={hexDraft}
+          onChange={(e) => handleHexChange(e.target.value)}
+          onBlur={() => setHexDraft(hex)}
+          className={`ml-3 w-28 p-2 border rounded-lg font-mono text-sm bg-white dark:bg-gray-800 dark:text-gray-200 ${
+            hexToRgb(hexDraft)
+              ? "border-gray-300 dark:border-gray-600"
+              : "border-red-500"
+          }`}
+          aria-label="Hex color"
+        />
+        <button
+          onClick={onClose}
+          className="ml-auto text-gray-500 hover:text-gray-800 dark:text-gray-400 dark:hover:text-gray-100 text-sm"
+        >
+          Done
+        </button>
+      </div>
+
+      <p className="text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1">
+        HSL
+      </p>
+      <div className="space-y-1 mb-3">
+        <ChannelSlider
+          label="H"
+          value={hsl[0] * 360}
+          min={0}
+          max={360}
+          step={1}
+          onChange={(v) => setHslChannel(0, v / 360)}
+        />
+        <ChannelSlider
+          label="S"
+          value={hsl[1] * 100}
+          min={0}
+          max={100}
+          step={1}
+          onChange={(v) => setHslChannel(1, v / 100)}
+        />
+        <ChannelSlider
+          label="L"
+          value={hsl[2] * 100}
+          min={0}
+          max={100}
+          step={1}
+          onChange={(v) => setHslChannel(2, v / 100)}
+        />
+      </div>
+
+      <p className="text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1">
+        OKLCH
+      </p>
+      <div className="space-y-1 mb-3">
+        <ChannelSlider
+          label="L"
+          value={oklch[0]}
+          min={0}
+          max={1}
+          step={0.001}
+          onChange={(v) => setOklchChannel(0, v)}
+        />
+        <ChannelSlider
+          label="C"
+          value={oklch[1]}
+          min={0}
+          max={0.37}
+          step={0.001}
+          onChange={(v) => setOklchChannel(1, v)}
+        />
+        <ChannelSlider
+          label="H"
+          value={oklch[2] * 360}
+          min={0}
+          max={360}
+          step={1}
+          onChange={(v) => setOklchChannel(2, v / 360)}
+        />
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={onDuplicate}
+          className={`${buttonClass} bg-gray-600 hover:bg-gray-700 text-white`}
+        >
+          Duplicate
+        </button>
+        <button
+          onClick={onInsert}
+          className={`${buttonClass} bg-gray-600 hover:bg-gray-700 text-white`}
+        >
+          Insert after
+        </button>
+        <button
+          onClick={onDelete}
+          className={`${buttonClass} bg-red-600 hover:bg-red-700 text-white ml-auto`}
+        >
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SwatchEditor;
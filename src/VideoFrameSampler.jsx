@@ -0,0 +1,223 @@
+import React, { useEffect, useRef, useState } from "react";
+
+const MAX_FRAMES = 32;
+// Longer side of a sampled frame; the pipeline downscales further
+const FRAME_SIZE = 640;
+// How long one seek may take before sampling gives up, in milliseconds
+const SEEK_TIMEOUT = 10000;
+
+const buttonClass =
+  "text-xs font-semibold py-1 px-3 rounded-full transition-colors duration-200 shadow-sm bg-gray-600 hover:bg-gray-700 text-white disabled:opacity-50 disabled:cursor-not-allowed";
+
+const inputClass =
+  "ml-2 w-20 p-1 border border-gray-300 rounded text-xs bg-white dark:bg-gray-700 dark:text-gray-200 dark:border-gray-600";
+
+const formatTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, "0")}`;
+};
+
+// `count` times spread evenly over [start, end], each in the middle of its
+// slice so fades at either end are skipped
+const sampleTimes = (count, start, end) =>
+  Array.from(
+    { length: count },
+    (_, i) => start + ((i + 0.5) * (end - start)) / count
+  );
+
+// Seeks `video` to `time` and draws that frame as a JPEG data URL. Fails
+// if the video errors or the seek does not finish within SEEK_TIMEOUT ms.
+const captureFrame = (video, time) =>
+  new Promise((resolve, reject) => {
+    let timer = null;
+    const cleanUp = () => {
+      clearTimeout(timer);
+      video.removeEventListener("seeked", handleSeeked);
+      video.removeEventListener("error", handleError);
+    };
+    const handleError = () => {
+      cleanUp();
+      reject(video.error ?? new Error("The video could not be decoded."));
+    };
+    const handleSeeked = () => {
+      cleanUp();
+      const canvas = document.createElement("canvas");
+      const ratio = Math.min(
+        1,
+        FRAME_SIZE / video.videoWidth,
+        FRAME_SIZE / video.videoHeight
+      );
+      canvas.width = Math.round(video.videoWidth * ratio);
+      canvas.height = Math.round(video.videoHeight * ratio);
+      try {
+        canvas
+          .getContext("2d")
+          .drawImage(video, 0, 0, canvas.width, canvas.height);
+        resolve(canvas.toDataURL("image/jpeg", 0.85));
+      } catch (err) {
+        reject(err);
+      }
+    };
+    video.addEventListener("seeked", handleSeeked);
+    video.addEventListener("error", handleError);
+    timer = setTimeout(() => {
+      cleanUp();
+      reject(new Error(`Seeking to ${formatTime(time)} timed out.`));
+    }, SEEK_TIMEOUT);
+    video.currentTime = time;
+  });
+
+/**
+ * Samples frames from a local video file: `count` frames spread across the
+ * whole timeline or a chosen range. `onAdd` receives them as `{ name, src }`
+ * images to pool with the other sources.
+ */
+const VideoFrameSampler = ({ file, onAdd, onClose }) => {
+  const videoRef = useRef(null);
+  const [url, setUrl] = useState(null);
+  const [duration, setDuration] = useState(0);
+  const [count, setCount] = useState(8);
+  const [range, setRange] = useState([0, 0]);
+  const [sampling, setSampling] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(file);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [file]);
+
+  const [start, end] = range;
+
+  const handleLoadedMetadata = () => {
+    const { duration: length } = videoRef.current;
+    // Streamed recordings (e.g. some WebM files) report no length to seek in
+    if (!Number.isFinite(length)) {
+      setDuration(0);
+      setError(
+        "This video does not report its length, so frames cannot be sampled."
+      );
+      return;
+    }
+    setDuration(length);
+    setRange([0, length]);
+    setError(null);
+  };
+
+  const setBound = (index, value) => {
+    const next = [...range];
+    next[index] = Math.min(duration, Math.max(0, value));
+    setRange(next);
+  };
+
+  const handleSample = async () => {
+    const video = videoRef.current;
+    video.pause();
+    const times = sampleTimes(count, Math.min(start, end), Math.max(start, end));
+    const frames = [];
+    try {
+      for (const [i, time] of times.entries()) {
+        setSampling(`Sampling frame ${i + 1} of ${times.length}`);
+        frames.push({
+          name: `${file.name} @ ${formatTime(time)}`,
+          src: await captureFrame(video, time),
+        });
+      }
+      onAdd(frames);
+      onClose();
+    } catch (err) {
+      console.error("Frame sampling failed:", err);
+      setError("Could not read frames from this video.");
+    } finally {
+      setSampling(null);
+    }
+  };
+
+  return (
+    <div className="w-full p-4 rounded-xl border border-gray-200 dark:border-gray-600 space-y-3">
+      <div className="flex items-center">
+        <p className="text-sm font-medium text-gray-700 dark:text-gray-300 truncate">
+          Sample frames from {file.name}
+        </p>
+        <button
+          onClick={onClose}
+          className="ml-auto text-xs text-gray-500 hover:underline dark:text-gray-400"
+        >
+          Cancel
+        </button>
+      </div>
+      {url && (
+        <video
+          ref={videoRef}
+          src={url}
+          controls
+          muted
+          preload="auto"
+          onLoadedMetadata={handleLoadedMetadata}
+          onError={() =>
+            setError("This browser cannot play this video format.")
+          }
+          className="w-full max-h-72 rounded bg-black"
+        />
+      )}
+      <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600 dark:text-gray-400">
+        <label className="flex items-center">
+          Frames
+          <input
+            type="number"
+            min="1"
+            max={MAX_FRAMES}
+            value={count}
+            onChange={(e) =>
+              setCount(
+                Math.min(MAX_FRAMES, Math.max(1, Number(e.target.value)))
+              )
+            }
+            className={inputClass}
+          />
+        </label>
+        {[
+          ["From", 0],
+          ["To", 1],
+        ].map(([label, index]) => (
+          <label key={label} className="flex items-center">
+            {label}
+            <input
+              type="number"
+              min="0"
+              max={duration}
+              step="0.1"
+              value={Number(range[index].toFixed(1))}
+              onChange={(e) => setBound(index, Number(e.target.value))}
+              className={inputClass}
+              aria-label={`${label} (seconds)`}
+            />
+            <button
+              onClick={() => setBound(index, videoRef.current.currentTime)}
+              disabled={duration === 0}
+              className="ml-1 underline disabled:opacity-50"
+              title="Use the current playback position"
+            >
+              playhead
+            </button>
+          </label>
+        ))}
+        <span>
+          {formatTime(Math.min(start, end))} – {formatTime(Math.max(start, end))}
+        </span>
+        <button
+          onClick={handleSample}
+          disabled={duration === 0 || start === end || sampling !== null}
+          className={`${buttonClass} ml-auto`}
+        >
+          {sampling ?? `Add ${count} ${count === 1 ? "frame" : "frames"}`}
+        </button>
+      </div>
+      {error && (
+        <p className="text-xs text-red-600 dark:text-red-400">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default VideoFrameSampler;
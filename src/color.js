@@ -0,0 +1,296 @@
+/**
+ * Color space conversions and color difference.
+ *
+ * Colors are plain [r, g, b] arrays with 0–255 channels; HSL components are
+ * all in the 0–1 range. OKLCH uses L in 0–1, chroma in absolute OKLab units
+ * (about 0–0.37 inside sRGB) and, like HSL, hue in 0–1 turns.
+ */
+
+export const rgbToHex = (r, g, b) => {
+  const toHex = (c) => `0${c.toString(16)}`.slice(-2);
+  return `#${toHex(r)}${toHex(g)}${toHex(b)}`.toUpperCase();
+};
+
+// Parses "#RRGGBB" or "#RGB" (the "#" is optional); returns null if invalid
+export const hexToRgb = (hex) => {
+  let digits = hex.trim().replace(/^#/, "");
+  if (/^[0-9a-f]{3}$/i.test(digits)) {
+    digits = digits.replace(/./g, "$&$&");
+  }
+  if (!/^[0-9a-f]{6}$/i.test(digits)) return null;
+  return [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16));
+};
+
+export const rgbToHsl = (r, g, b) => {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  const max = Math.max(r, g, b),
+    min = Math.min(r, g, b);
+  let h,
+    s,
+    l = (max + min) / 2;
+
+  if (max === min) {
+    h = s = 0;
+  } else {
+    const d = max - min;
+    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    switch (max) {
+      case r:
+        h = (g - b) / d + (g < b ? 6 : 0);
+        break;
+      case g:
+        h = (b - r) / d + 2;
+        break;
+      case b:
+        h = (r - g) / d + 4;
+        break;
+    }
+    h /= 6;
+  }
+  return [h, s, l];
+};
+
+export const hslToRgb = (h, s, l) => {
+  let r, g, b;
+  if (s === 0) {
+    r = g = b = l;
+  } else {
+    const hue2rgb = (p, q, t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    };
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    r = hue2rgb(p, q, h + 1 / 3);
+    g = hue2rgb(p, q, h);
+    b = hue2rgb(p, q, h - 1 / 3);
+  }
+  return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)];
+};
+
+export const rgbToLab = (r, g, b) => {
+  let x = r / 255;
+  let y = g / 255;
+  let z = b / 255;
+
+  x = x > 0.04045 ? Math.pow((x + 0.055) / 1.055, 2.4) : x / 12.92;
+  y = y > 0.04045 ? Math.pow((y + 0.055) / 1.055, 2.4) : y / 12.92;
+  z = z > 0.04045 ? Math.pow((z + 0.055) / 1.055, 2.4) : z / 12.92;
+
+  x *= 100;
+  y *= 100;
+  z *= 100;
+
+  let X = x * 0.4124 + y * 0.3576 + z * 0.1805;
+  let Y = x * 0.2126 + y * 0.7152 + z * 0.0722;
+  let Z = x * 0.0193 + y * 0.1192 + z * 0.9505;
+
+  X /= 95.047;
+  Y /= 100.0;
+  Z /= 108.883;
+
+  X = X > 0.008856 ? Math.pow(X, 1 / 3) : 7.787 * X + 16 / 116;
+  Y = Y > 0.008856 ? Math.pow(Y, 1 / 3) : 7.787 * Y + 16 / 116;
+  Z = Z > 0.008856 ? Math.pow(Z, 1 / 3) : 7.787 * Z + 16 / 116;
+
+  return [
+    116 * Y - 16, // L
+    500 * (X - Y), // A
+    200 * (Y - Z), // B
+  ];
+};
+
+// One 0–255 sRGB channel to linear light, 0–1
+export const srgbToLinear = (c) => {
+  const v = c / 255;
+  return v > 0.04045 ? Math.pow((v + 0.055) / 1.055, 2.4) : v / 12.92;
+};
+
+// Björn Ottosson's OKLab, returned as [L, a, b] with L in 0–1
+export const rgbToOklab = (r, g, b) => {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+  return [
+    0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+  ];
+};
+
+const linearToSrgb = (v) =>
+  v > 0.0031308 ? 1.055 * Math.pow(v, 1 / 2.4) - 0.055 : 12.92 * v;
+
+// Inverse of rgbToOklab, as unclamped linear-light sRGB
+const oklabToLinear = (L, a, b) => {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.291485548 * b, 3);
+
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.707614701 * s,
+  ];
+};
+
+// Linear-light [r, g, b] back to clamped, rounded 0–255 sRGB
+export const linearToRgb = (channels) =>
+  channels.map((v) =>
+    Math.round(Math.min(1, Math.max(0, linearToSrgb(v))) * 255)
+  );
+
+export const rgbToOklch = (r, g, b) => {
+  const [L, a, bb] = rgbToOklab(r, g, b);
+  const C = Math.sqrt(a * a + bb * bb);
+  const h = C < 1e-6 ? 0 : (Math.atan2(bb, a) / (2 * Math.PI) + 1) % 1;
+  return [L, C, h];
+};
+
+const oklchToLinear = (L, C, h) =>
+  oklabToLinear(
+    L,
+    C * Math.cos(h * 2 * Math.PI),
+    C * Math.sin(h * 2 * Math.PI)
+  );
+
+const inGamut = (channels) =>
+  channels.every((v) => v >= -1e-4 && v <= 1 + 1e-4);
+
+/**
+ * Converts OKLCH to sRGB. Out-of-gamut colors are mapped back by reducing
+ * chroma at constant lightness and hue (binary search), which keeps ramps
+ * stepping evenly in lightness instead of clipping channels independently.
+ */
+export const oklchToRgb = (L, C, h) => {
+  const lightness = Math.min(1, Math.max(0, L));
+  let channels = oklchToLinear(lightness, C, h);
+  if (!inGamut(channels)) {
+    let low = 0;
+    let high = C;
+    while (high - low > 1e-4) {
+      const mid = (low + high) / 2;
+      if (inGamut(oklchToLinear(lightness, mid, h))) low = mid;
+      else high = mid;
+    }
+    channels = oklchToLinear(lightness, low, h);
+  }
+  return linearToRgb(channels);
+};
+
+const cie76 = ([L1, a1, b1], [L2, a2, b2]) =>
+  Math.sqrt(
+    Math.pow(L2 - L1, 2) + Math.pow(a2 - a1, 2) + Math.pow(b2 - b1, 2)
+  );
+
+// CIE94 with graphic-arts weights (kL = 1, K1 = 0.045, K2 = 0.015)
+const cie94 = ([L1, a1, b1], [L2, a2, b2]) => {
+  const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+  const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+  const dL = L1 - L2;
+  const dC = C1 - C2;
+  const da = a1 - a2;
+  const db = b1 - b2;
+  const dH2 = Math.max(0, da * da + db * db - dC * dC);
+  const sC = 1 + 0.045 * C1;
+  const sH = 1 + 0.015 * C1;
+  return Math.sqrt(dL * dL + Math.pow(dC / sC, 2) + dH2 / (sH * sH));
+};
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+const toDegrees = (rad) => (rad * 180) / Math.PI;
+
+// CIEDE2000 (Sharma, Wu & Dalal 2005) with kL = kC = kH = 1
+const ciede2000 = ([L1, a1, b1], [L2, a2, b2]) => {
+  const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+  const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+  const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+  const a1p = (1 + G) * a1;
+  const a2p = (1 + G) * a2;
+  const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+  const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+  const hueAngle = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = toDegrees(Math.atan2(b, a));
+    return h >= 0 ? h : h + 360;
+  };
+  const h1p = hueAngle(b1, a1p);
+  const h2p = hueAngle(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(toRadians(dhp / 2));
+
+  const Lbarp = (L1 + L2) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hbarp /= 2;
+    else if (h1p + h2p < 360) hbarp = (hbarp + 360) / 2;
+    else hbarp = (hbarp - 360) / 2;
+  }
+
+  const T =
+    1 -
+    0.17 * Math.cos(toRadians(hbarp - 30)) +
+    0.24 * Math.cos(toRadians(2 * hbarp)) +
+    0.32 * Math.cos(toRadians(3 * hbarp + 6)) -
+    0.2 * Math.cos(toRadians(4 * hbarp - 63));
+  const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+  const Cbarp7 = Math.pow(Cbarp, 7);
+  const RC = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+  const Lm50 = Math.pow(Lbarp - 50, 2);
+  const SL = 1 + (0.015 * Lm50) / Math.sqrt(20 + Lm50);
+  const SC = 1 + 0.045 * Cbarp;
+  const SH = 1 + 0.015 * Cbarp * T;
+  const RT = -Math.sin(toRadians(2 * dTheta)) * RC;
+
+  return Math.sqrt(
+    Math.pow(dLp / SL, 2) +
+      Math.pow(dCp / SC, 2) +
+      Math.pow(dHp / SH, 2) +
+      RT * (dCp / SC) * (dHp / SH)
+  );
+};
+
+/**
+ * Supported color-difference metrics. `scale` converts each metric into
+ * CIE76-equivalent units (matched on the median of near-color pairs), so
+ * every threshold in the app means roughly the same thing whichever metric
+ * is selected.
+ */
+export const colorMetrics = {
+  cie76: { label: "CIE76", toSpace: rgbToLab, distance: cie76, scale: 1 },
+  cie94: { label: "CIE94", toSpace: rgbToLab, distance: cie94, scale: 1.77 },
+  ciede2000: {
+    label: "CIEDE2000",
+    toSpace: rgbToLab,
+    distance: ciede2000,
+    scale: 1.93,
+  },
+  oklab: { label: "OKLab", toSpace: rgbToOklab, distance: cie76, scale: 275 },
+};
+
+export const deltaE = (color1, color2, metric = "cie76") => {
+  const { toSpace, distance, scale } =
+    colorMetrics[metric] || colorMetrics.cie76;
+  return distance(toSpace(...color1), toSpace(...color2)) * scale;
+};
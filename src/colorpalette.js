@@ -0,0 +1,103 @@
+/**
+ * Reading and writing Studio One `.colorpalette` files.
+ *
+ * A palette file is JSON of the form `{ "colors": ["FFBBGGRR", ...] }`. Each
+ * entry is an alpha byte followed by blue, green and red — the reverse of the
+ * usual `#RRGGBB` order. Studio One itself writes lowercase hex, tabs and
+ * sometimes extra top-level keys, so the reader is deliberately lenient about
+ * everything except the color entries themselves.
+ */
+
+const toHex = (c) => `0${c.toString(16)}`.slice(-2).toUpperCase();
+
+export const formatColor = (r, g, b) => `FF${toHex(b)}${toHex(g)}${toHex(r)}`;
+
+// `seed` is kept as an extra top-level key next to `colors` so a palette can be
+// regenerated later from the same image and settings.
+export const serializeColorPalette = (colors, { seed } = {}) =>
+  JSON.stringify(
+    {
+      colors: colors.map(([r, g, b]) => formatColor(r, g, b)),
+      ...(seed !== undefined && { seed }),
+    },
+    null,
+    2
+  );
+
+// Returns [r, g, b] for a valid entry, or null. The alpha byte is ignored:
+// Studio One always writes FF and does not render track colors translucent.
+export const parseColor = (value) => {
+  if (typeof value === "number") {
+    if (!Number.isInteger(value) || value < 0 || value > 0xffffffff) {
+      return null;
+    }
+    return [value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff];
+  }
+
+  if (typeof value !== "string") return null;
+
+  const hex = value.trim().replace(/^(#|0x)/i, "");
+  if (!/^[0-9a-f]{8}$/i.test(hex)) return null;
+
+  return [
+    parseInt(hex.slice(6, 8), 16),
+    parseInt(hex.slice(4, 6), 16),
+    parseInt(hex.slice(2, 4), 16),
+  ];
+};
+
+const parseJson = (text) => {
+  const clean = text.replace(/^\uFEFF/, "");
+  try {
+    return JSON.parse(clean);
+  } catch {
+    // Hand-edited files often carry trailing commas
+    return JSON.parse(clean.replace(/,(\s*[\]}])/g, "$1"));
+  }
+};
+
+/**
+ * Parses the text of a `.colorpalette` file.
+ *
+ * Returns `{ colors, invalid, seed }` where `colors` is a list of [r, g, b]
+ * triples, `invalid` lists the `{ index, value }` entries that were skipped
+ * and `seed` is the generator seed if the file was exported by this app.
+ * Throws if the file is not JSON or has no color list at all.
+ */
+export const parseColorPalette = (text) => {
+  let data;
+  try {
+    data = parseJson(text);
+  } catch {
+    throw new Error("Not a valid .colorpalette file (could not parse JSON).");
+  }
+
+  let entries = Array.isArray(data) ? data : null;
+  if (!entries && data && typeof data === "object") {
+    const key = Object.keys(data).find((k) => k.toLowerCase() === "colors");
+    entries = key && Array.isArray(data[key]) ? data[key] : null;
+  }
+  if (!entries) {
+    throw new Error('Not a valid .colorpalette file (no "colors" list).');
+  }
+
+  const colors = [];
+  const invalid = [];
+  entries.forEach((value, index) => {
+    const color = parseColor(value);
+    if (color) {
+      colors.push(color);
+    } else {
+      invalid.push({ index, value });
+    }
+  });
+
+  if (colors.length === 0) {
+    throw new Error("The palette file does not contain any valid colors.");
+  }
+
+  const seed =
+    data && Number.isInteger(data.seed) && data.seed >= 0 ? data.seed : undefined;
+
+  return { colors, invalid, seed };
+};
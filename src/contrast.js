@@ -0,0 +1,126 @@
+/**
+ * Legibility of track name text on palette colors.
+ *
+ * Every swatch is measured against white and black label text with WCAG 2
+ * contrast ratios and APCA lightness contrast (Lc, version 0.0.98G). A swatch
+ * passes when at least one of the two text colors reaches the threshold of
+ * the chosen standard.
+ */
+
+import { oklchToRgb, rgbToOklch, srgbToLinear } from "./color.js";
+
+export const textColors = {
+  white: [255, 255, 255],
+  black: [0, 0, 0],
+};
+
+export const relativeLuminance = ([r, g, b]) =>
+  0.2126 * srgbToLinear(r) +
+  0.7152 * srgbToLinear(g) +
+  0.0722 * srgbToLinear(b);
+
+// WCAG 2 contrast ratio, 1 to 21
+export const wcagContrast = (color1, color2) => {
+  const l1 = relativeLuminance(color1);
+  const l2 = relativeLuminance(color2);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+};
+
+// APCA screen luminance, with the soft clamp for near-black colors
+const apcaLuminance = ([r, g, b]) => {
+  const y =
+    0.2126729 * Math.pow(r / 255, 2.4) +
+    0.7151522 * Math.pow(g / 255, 2.4) +
+    0.072175 * Math.pow(b / 255, 2.4);
+  return y < 0.022 ? y + Math.pow(0.022 - y, 1.414) : y;
+};
+
+/**
+ * APCA lightness contrast of `text` on `background`, about -108 to 106.
+ * Positive for dark text on a light background, negative for light text.
+ */
+export const apcaContrast = (text, background) => {
+  const yText = apcaLuminance(text);
+  const yBackground = apcaLuminance(background);
+  if (Math.abs(yBackground - yText) < 0.0005) return 0;
+
+  if (yBackground > yText) {
+    const sapc = (Math.pow(yBackground, 0.56) - Math.pow(yText, 0.57)) * 1.14;
+    return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+  }
+  const sapc = (Math.pow(yBackground, 0.65) - Math.pow(yText, 0.62)) * 1.14;
+  return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+};
+
+/**
+ * Supported standards. `threshold` is the minimum score for track name
+ * text and `format` renders a score.
+ * Every color reaches WCAG AA (4.5:1) with either white or black text, so
+ * the small-text AAA level is used; for APCA it is Lc 60, the minimum for
+ * content text.
+ */
+export const contrastStandards = {
+  wcag: {
+    label: "WCAG 2",
+    threshold: 7,
+    format: (score) => `${score.toFixed(1)}:1`,
+  },
+  apca: {
+    label: "APCA",
+    threshold: 60,
+    format: (score) => `Lc ${Math.round(score)}`,
+  },
+};
+
+/**
+ * Measures `color` against white and black text. Returns
+ * `{ wcag: { white, black }, apca: { white, black }, text, score, passes }`
+ * where `text` is the more legible label color under `standard` and
+ * `score` its score.
+ */
+export const contrastReport = (color, standard = "wcag") => {
+  const wcag = {
+    white: wcagContrast(textColors.white, color),
+    black: wcagContrast(textColors.black, color),
+  };
+  const apca = {
+    white: Math.abs(apcaContrast(textColors.white, color)),
+    black: Math.abs(apcaContrast(textColors.black, color)),
+  };
+  const scores = standard === "apca" ? apca : wcag;
+  const text = scores.white >= scores.black ? "white" : "black";
+  const { threshold } = contrastStandards[standard] ?? contrastStandards.wcag;
+  return {
+    wcag,
+    apca,
+    text,
+    score: scores[text],
+    passes: scores[text] >= threshold,
+  };
+};
+
+// "#FFFFFF" or "#000000", whichever reads better on `color`
+export const textColorFor = (color, standard = "wcag") =>
+  contrastReport(color, standard).text === "white" ? "#FFFFFF" : "#000000";
+
+// Lightness step of the fix search, in OKLCH L
+const FIX_STEP = 0.005;
+
+/**
+ * Returns `color` unchanged if it passes `standard`, otherwise the closest
+ * color in OKLCH lightness that does. Hue is kept; chroma only drops where
+ * the new lightness is out of gamut.
+ */
+export const fixColorContrast = (color, standard = "wcag") => {
+  if (contrastReport(color, standard).passes) return color;
+
+  const [L, C, h] = rgbToOklch(...color);
+  for (let offset = FIX_STEP; offset <= 1; offset += FIX_STEP) {
+    for (const candidate of [L - offset, L + offset]) {
+      if (candidate < 0 || candidate > 1) continue;
+      const fixed = oklchToRgb(candidate, C, h);
+      if (contrastReport(fixed, standard).passes) return fixed;
+    }
+  }
+  return color;
+};
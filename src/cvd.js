@@ -0,0 +1,160 @@
+/**
+ * Color vision deficiency (CVD) simulation and CVD-safe spreading.
+ *
+ * Dichromacies are simulated with the full-severity matrices of Machado,
+ * Oliveira and Fernandes (2009), applied in linear-light sRGB;
+ * achromatopsia keeps only relative luminance.
+ *
+ * `spreadForCvd` moves the lightness of colors that look alike under a
+ * simulation until every pair is at least `minDistance` DeltaE apart there,
+ * or as far apart as MAX_SHIFT allows. Lightness is the one cue every
+ * deficiency keeps, and changing only OKLCH lightness keeps each hue.
+ */
+
+import {
+  deltaE,
+  linearToRgb,
+  oklchToRgb,
+  rgbToOklch,
+  srgbToLinear,
+} from "./color.js";
+import { contrastReport } from "./contrast.js";
+
+const machado = {
+  protanopia: [
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998],
+  ],
+  deuteranopia: [
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.01182, 0.04294, 0.968881],
+  ],
+  tritanopia: [
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.3039],
+  ],
+};
+
+export const cvdTypes = {
+  protanopia: { label: "Protanopia", detail: "no red cones" },
+  deuteranopia: { label: "Deuteranopia", detail: "no green cones" },
+  tritanopia: { label: "Tritanopia", detail: "no blue cones" },
+  achromatopsia: { label: "Achromatopsia", detail: "no color" },
+};
+
+// How `color` looks with deficiency `type`; other types return it unchanged
+export const simulateCvd = (color, type) => {
+  const linear = color.map(srgbToLinear);
+  if (type === "achromatopsia") {
+    const y = 0.2126 * linear[0] + 0.7152 * linear[1] + 0.0722 * linear[2];
+    return linearToRgb([y, y, y]);
+  }
+  const matrix = machado[type];
+  if (!matrix) return color;
+  return linearToRgb(
+    matrix.map((row) => row.reduce((sum, k, i) => sum + k * linear[i], 0))
+  );
+};
+
+/**
+ * Pairs of indices into `colors` that are closer than `minDistance` under
+ * `type`, as `{ a, b, distance }`.
+ */
+export const findCvdCollisions = (
+  colors,
+  type,
+  { metric = "cie76", minDistance = 10 } = {}
+) => {
+  const simulated = colors.map((color) => simulateCvd(color, type));
+  const collisions = [];
+  for (let a = 0; a < simulated.length; a++) {
+    for (let b = a + 1; b < simulated.length; b++) {
+      const distance = deltaE(simulated[a], simulated[b], metric);
+      if (distance < minDistance) collisions.push({ a, b, distance });
+    }
+  }
+  return collisions;
+};
+
+// Furthest a color's OKLCH lightness is moved from where it started
+const MAX_SHIFT = 0.2;
+const SHIFT_STEP = 0.02;
+const MAX_PASSES = 4;
+
+/**
+ * Returns a copy of `colors` where colors that collide under `type` are
+ * moved apart in lightness, the later color of each pair first. Each color
+ * takes the shift that maximizes its distance to its nearest neighbor under
+ * simulation, preferring smaller shifts. With `contrastStandard`, shifts
+ * that would fail that contrast standard are skipped.
+ *
+ * Large palettes cannot always be separated (achromatopsia leaves only
+ * lightness to tell colors apart), so this is best effort: use
+ * `findCvdCollisions` to see what is left.
+ */
+export const spreadForCvd = (
+  colors,
+  type,
+  { metric = "cie76", minDistance = 10, contrastStandard } = {}
+) => {
+  const result = colors.slice();
+  const simulated = result.map((color) => simulateCvd(color, type));
+  const origins = result.map((color) => rgbToOklch(...color));
+
+  const nearest = (index, candidate) => {
+    let min = Infinity;
+    simulated.forEach((other, i) => {
+      if (i !== index) min = Math.min(min, deltaE(candidate, other, metric));
+    });
+    return min;
+  };
+
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    const moving = new Set(
+      findCvdCollisions(result, type, { metric, minDistance }).map(
+        ({ b }) => b
+      )
+    );
+    if (moving.size === 0) break;
+
+    let moved = false;
+    moving.forEach((index) => {
+      const [L, C, h] = origins[index];
+      let best = {
+        color: result[index],
+        simulated: simulated[index],
+        distance: nearest(index, simulated[index]),
+      };
+      for (let step = 1; step * SHIFT_STEP <= MAX_SHIFT + 1e-9; step++) {
+        const shift = step * SHIFT_STEP;
+        for (const lightness of [L - shift, L + shift]) {
+          if (lightness < 0 || lightness > 1) continue;
+          const color = oklchToRgb(lightness, C, h);
+          if (
+            contrastStandard &&
+            !contrastReport(color, contrastStandard).passes
+          ) {
+            continue;
+          }
+          const candidate = simulateCvd(color, type);
+          const distance = nearest(index, candidate);
+          if (distance > best.distance + 1e-6) {
+            best = { color, simulated: candidate, distance };
+          }
+        }
+        if (best.distance >= minDistance) break;
+      }
+      if (best.color !== result[index]) {
+        result[index] = best.color;
+        simulated[index] = best.simulated;
+        moved = true;
+      }
+    });
+    if (!moved) break;
+  }
+
+  return result;
+};
@@ -0,0 +1,136 @@
+/**
+ * Export profiles for DAWs other than Studio One.
+ *
+ * A profile has the shape of an `exportFormats` entry plus `maxColors`, the
+ * number of colors the host's custom color set takes. `exportForDaw` fits
+ * the palette rows into that limit before serializing and reports the
+ * swatches it had to leave out.
+ */
+
+import { rgbToHex } from "./color.js";
+import { flattenRows } from "./paletteRows.js";
+
+/**
+ * Shrinks `rows` to at most `limit` colors. Every row keeps one color, and
+ * the rest of the limit is shared in proportion to row length (largest
+ * remainders first); if there are more rows than the limit, the first rows
+ * keep one color each. Kept colors are spread evenly along each row so
+ * ramps still run light to dark. Returns `{ rows, dropped }`, where
+ * `dropped` lists the removed swatches as `{ row, index, color }` with `row`
+ * being the row name.
+ */
+export const fitColorLimit = (rows, limit) => {
+  const total = rows.reduce((sum, row) => sum + row.colors.length, 0);
+  if (total <= limit) return { rows, dropped: [] };
+
+  let slots = limit;
+  const keep = rows.map((row) => {
+    if (row.colors.length === 0 || slots === 0) return 0;
+    slots--;
+    return 1;
+  });
+  const extra = rows.map((row, i) => (keep[i] ? row.colors.length - 1 : 0));
+  const extraTotal = extra.reduce((sum, n) => sum + n, 0);
+  if (slots > 0) {
+    const shares = extra.map((n) => (n * slots) / extraTotal);
+    shares.forEach((share, i) => {
+      keep[i] += Math.floor(share);
+    });
+    let left = slots - shares.reduce((sum, s) => sum + Math.floor(s), 0);
+    shares
+      .map((share, i) => ({ i, rest: share - Math.floor(share) }))
+      .sort((a, b) => b.rest - a.rest)
+      .forEach(({ i }) => {
+        if (left > 0) {
+          keep[i]++;
+          left--;
+        }
+      });
+  }
+
+  const dropped = [];
+  const fitted = rows.map((row, i) => {
+    const n = row.colors.length;
+    const kept = new Set(
+      Array.from({ length: keep[i] }, (_, k) =>
+        keep[i] === 1
+          ? Math.floor((n - 1) / 2)
+          : Math.round((k * (n - 1)) / (keep[i] - 1))
+      )
+    );
+    row.colors.forEach((color, index) => {
+      if (!kept.has(index)) dropped.push({ row: row.name, index, color });
+    });
+    return { ...row, colors: row.colors.filter((_, index) => kept.has(index)) };
+  });
+  return { rows: fitted, dropped };
+};
+
+// Windows COLORREF (0x00BBGGRR) as a decimal number, as SWS stores colors
+const colorRef = ([r, g, b]) => r + g * 256 + b * 65536;
+
+/**
+ * SWS/S&M Color Management file for Reaper: 16 custom colors, plus the
+ * gradient running from the first color to the last.
+ */
+export const serializeSwsColor = (rows) => {
+  const colors = flattenRows(rows);
+  const lines = colors.map(
+    (color, i) => `custcolor${i + 1}=${colorRef(color)}`
+  );
+  if (colors.length > 0) {
+    lines.push(
+      `gradientStart=${colorRef(colors[0])}`,
+      `gradientEnd=${colorRef(colors[colors.length - 1])}`
+    );
+  }
+  return ["[SWS Color]", ...lines, ""].join("\r\n");
+};
+
+/**
+ * One "#RRGGBB" per line. Cubase/Nuendo and Bitwig cannot import a color
+ * file, so their profiles write this list to enter by hand in Project
+ * Colors Setup and the track color picker.
+ */
+export const serializeHexList = (rows) =>
+  `${flattenRows(rows)
+    .map((color) => rgbToHex(...color))
+    .join("\n")}\n`;
+
+export const dawProfiles = {
+  // SWS stores the 16 custom color slots of the Windows color dialog
+  // (custcolor1-16), so that is all a .SWSColor file can hold
+  reaper: {
+    label: "Reaper (SWS .SWSColor)",
+    extension: "SWSColor",
+    type: "text/plain",
+    maxColors: 16,
+    serialize: serializeSwsColor,
+  },
+  cubase: {
+    label: "Cubase / Nuendo project colors (hex list, .txt)",
+    extension: "cubase.txt",
+    type: "text/plain",
+    maxColors: 128,
+    serialize: serializeHexList,
+  },
+  // The track color palette is a fixed grid of 28 slots
+  bitwig: {
+    label: "Bitwig track colors (hex list, .txt)",
+    extension: "bitwig.txt",
+    type: "text/plain",
+    maxColors: 28,
+    serialize: serializeHexList,
+  },
+};
+
+/**
+ * Serializes `rows` with profile `key` after fitting them into its color
+ * limit. Returns `{ data, rows, dropped }` with the fitted rows and the
+ * swatches left out, see `fitColorLimit`.
+ */
+export const exportForDaw = (rows, key, options) => {
+  const { maxColors, serialize } = dawProfiles[key];
+  const fitted = fitColorLimit(rows, maxColors);
+  return { ...fitted, data: serialize(fitted.rows, options) };
+};
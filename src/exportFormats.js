@@ -0,0 +1,243 @@
+/**
+ * Palette export formats other than Studio One's `.colorpalette`.
+ *
+ * Every serializer takes palette rows of `{ name, colors }` and returns a
+ * string, or a Uint8Array for binary formats. Swatches are named after their
+ * row and position, e.g. "red 3". `exportFormats` lists them by key with a
+ * label, file extension and MIME type so a UI can offer them in a menu;
+ * their `serialize(rows, { name, seed })` ignores options it has no use for.
+ */
+
+import { hexToRgb, rgbToHex } from "./color.js";
+import { serializeColorPalette } from "./colorpalette.js";
+import { textColorFor } from "./contrast.js";
+import { flattenRows } from "./paletteRows.js";
+
+const swatchName = (row, index) => `${row.name} ${index + 1}`;
+
+// Lowercase ASCII identifier for CSS variables and token keys
+const slug = (name) =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "") || "color";
+
+// Slugs for rows named `names`, with a numeric suffix where two rows would
+// share one: red, red-2, ...
+const rowSlugs = (names) => {
+  const taken = new Set();
+  return names.map((name) => {
+    const base = slug(name);
+    let unique = base;
+    for (let n = 2; taken.has(unique); n++) unique = `${base}-${n}`;
+    taken.add(unique);
+    return unique;
+  });
+};
+
+/**
+ * Adobe Swatch Exchange (version 1.0): one group per row holding that
+ * row's colors as RGB floats. All numbers are big-endian and names are
+ * null-terminated UTF-16.
+ */
+export const serializeAse = (rows) => {
+  const blocks = [];
+  const nameBytes = (name) => {
+    const bytes = new Uint8Array(2 + (name.length + 1) * 2);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, name.length + 1);
+    for (let i = 0; i < name.length; i++) {
+      view.setUint16(2 + i * 2, name.charCodeAt(i));
+    }
+    return bytes;
+  };
+  const block = (type, body = new Uint8Array(0)) => {
+    const bytes = new Uint8Array(6 + body.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, type);
+    view.setUint32(2, body.length);
+    bytes.set(body, 6);
+    blocks.push(bytes);
+  };
+
+  rows.forEach((row) => {
+    block(0xc001, nameBytes(row.name));
+    row.colors.forEach((color, index) => {
+      const name = nameBytes(swatchName(row, index));
+      const body = new Uint8Array(name.length + 18);
+      const view = new DataView(body.buffer);
+      body.set(name, 0);
+      body.set([0x52, 0x47, 0x42, 0x20], name.length); // "RGB "
+      color.forEach((c, i) =>
+        view.setFloat32(name.length + 4 + i * 4, c / 255)
+      );
+      view.setUint16(name.length + 16, 2); // normal (not global or spot)
+      block(0x0001, body);
+    });
+    block(0xc002);
+  });
+
+  const header = new Uint8Array(12);
+  const view = new DataView(header.buffer);
+  header.set([0x41, 0x53, 0x45, 0x46]); // "ASEF"
+  view.setUint16(4, 1);
+  view.setUint16(6, 0);
+  view.setUint32(8, blocks.length);
+
+  const size = blocks.reduce((total, b) => total + b.length, header.length);
+  const bytes = new Uint8Array(size);
+  bytes.set(header, 0);
+  blocks.reduce((offset, b) => {
+    bytes.set(b, offset);
+    return offset + b.length;
+  }, header.length);
+  return bytes;
+};
+
+// GIMP/Inkscape palette; `Columns` is the longest row so rows line up
+export const serializeGpl = (rows, { name = "Palette" } = {}) => {
+  const columns = Math.max(1, ...rows.map((row) => row.colors.length));
+  const lines = rows.flatMap((row) =>
+    row.colors.map(
+      ([r, g, b], index) =>
+        `${String(r).padStart(3)} ${String(g).padStart(3)} ${String(
+          b
+        ).padStart(3)}\t${swatchName(row, index)}`
+    )
+  );
+  return [
+    "GIMP Palette",
+    `Name: ${name}`,
+    `Columns: ${columns}`,
+    "#",
+    ...lines,
+    "",
+  ].join("\n");
+};
+
+// CSS custom properties on :root, one per swatch: --red-1, --red-2, ...
+export const serializeCssVariables = (rows, { prefix = "" } = {}) => {
+  const slugs = rowSlugs(rows.map((row) => row.name));
+  const lines = rows.flatMap((row, rowIndex) =>
+    row.colors.map(
+      (color, index) =>
+        `  --${prefix}${slugs[rowIndex]}-${index + 1}: ${rgbToHex(
+          ...color
+        ).toLowerCase()};`
+    )
+  );
+  return `:root {\n${lines.join("\n")}\n}\n`;
+};
+
+/**
+ * Design tokens in the W3C community group format: one group per row,
+ * named after the category or dominant color, holding numbered color
+ * tokens.
+ */
+export const serializeDesignTokens = (rows, { name = "palette" } = {}) => {
+  const slugs = rowSlugs(rows.map((row) => row.name));
+  const groups = {};
+  rows.forEach((row, rowIndex) => {
+    const group = { $description: row.name };
+    row.colors.forEach((color, index) => {
+      group[index + 1] = {
+        $type: "color",
+        $value: rgbToHex(...color).toLowerCase(),
+      };
+    });
+    groups[slugs[rowIndex]] = group;
+  });
+  return JSON.stringify({ [slug(name)]: groups }, null, 2);
+};
+
+const SHEET_SWATCH = 72;
+const SHEET_GAP = 8;
+const SHEET_LABEL = 24;
+
+const escapeXml = (text) =>
+  text.replace(
+    /[<>&"]/g,
+    (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]
+  );
+
+/**
+ * A swatch sheet as SVG: one labeled line per row, each swatch showing its
+ * hex code in whichever of black or white reads better.
+ */
+export const renderSwatchSheetSvg = (
+  rows,
+  { background = "#ffffff" } = {}
+) => {
+  const columns = Math.max(1, ...rows.map((row) => row.colors.length));
+  const width = SHEET_GAP + columns * (SHEET_SWATCH + SHEET_GAP);
+  const rowHeight = SHEET_LABEL + SHEET_SWATCH + SHEET_GAP;
+  const height = SHEET_GAP + rows.length * rowHeight;
+  const font = 'font-family="ui-monospace, Menlo, monospace"';
+  const labelColor = textColorFor(hexToRgb(background));
+
+  const content = rows.flatMap((row, rowIndex) => {
+    const top = SHEET_GAP + rowIndex * rowHeight;
+    const label = escapeXml(row.name);
+    return [
+      `<text x="${SHEET_GAP}" y="${top + 16}" font-size="13" ${font} fill="${labelColor}">${label}</text>`,
+      ...row.colors.map((color, index) => {
+        const x = SHEET_GAP + index * (SHEET_SWATCH + SHEET_GAP);
+        const y = top + SHEET_LABEL;
+        const hex = rgbToHex(...color);
+        const text = textColorFor(color);
+        return [
+          `<rect x="${x}" y="${y}" width="${SHEET_SWATCH}" height="${SHEET_SWATCH}" rx="6" fill="${hex}"/>`,
+          `<text x="${x + SHEET_SWATCH / 2}" y="${y + SHEET_SWATCH - 8}" font-size="11" ${font} text-anchor="middle" fill="${text}">${hex}</text>`,
+        ].join("");
+      }),
+    ];
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" fill="${background}"/>`,
+    ...content,
+    "</svg>",
+    "",
+  ].join("\n");
+};
+
+export const exportFormats = {
+  colorpalette: {
+    label: "Studio One (.colorpalette)",
+    extension: "colorpalette",
+    type: "application/json",
+    serialize: (rows, { seed } = {}) =>
+      serializeColorPalette(flattenRows(rows), { seed }),
+  },
+  ase: {
+    label: "Adobe Swatch Exchange (.ase)",
+    extension: "ase",
+    type: "application/octet-stream",
+    serialize: serializeAse,
+  },
+  gpl: {
+    label: "GIMP / Inkscape (.gpl)",
+    extension: "gpl",
+    type: "text/plain",
+    serialize: serializeGpl,
+  },
+  css: {
+    label: "CSS variables (.css)",
+    extension: "css",
+    type: "text/css",
+    serialize: serializeCssVariables,
+  },
+  tokens: {
+    label: "Design tokens (.tokens.json)",
+    extension: "tokens.json",
+    type: "application/json",
+    serialize: serializeDesignTokens,
+  },
+  svg: {
+    label: "Swatch sheet (.svg)",
+    extension: "svg",
+    type: "image/svg+xml",
+    serialize: renderSwatchSheetSvg,
+  },
+};
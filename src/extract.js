@@ -0,0 +1,571 @@
+/**
+ * Extraction pipeline: turns the pixels of an image into a palette.
+ *
+ * Pure functions only — no DOM access — so the whole pipeline can run inside
+ * a Web Worker (see paletteWorker.js).
+ */
+
+import { rgbToHsl, hslToRgb, deltaE } from "./color.js";
+import { fixColorContrast } from "./contrast.js";
+import { spreadForCvd } from "./cvd.js";
+import { harmonizeColors, resolveHarmonizeModel } from "./harmonize.js";
+import { defaultHueCategories, hueInCategory } from "./hueCategories.js";
+import { generateRow, refineRow } from "./palette.js";
+import {
+  allotRowLengths,
+  countSwatches,
+  flattenRows,
+} from "./paletteRows.js";
+import { createRng } from "./random.js";
+
+export const getMedianColor = (pixels) => {
+  if (pixels.length === 0) return [0, 0, 0];
+
+  // Calculate saturation and store along with pixel
+  const pixelsWithSat = pixels.map((p) => {
+    const [, s] = rgbToHsl(...p);
+    return { p, s };
+  });
+
+  // Sort by saturation descending
+  pixelsWithSat.sort((a, b) => b.s - a.s);
+
+  // Take the top 30% most saturated pixels (minimum 1, max all)
+  const topCount = Math.max(1, Math.floor(pixelsWithSat.length * 0.3));
+  const topPixels = pixelsWithSat.slice(0, topCount).map((item) => item.p);
+
+  // Return the median of this top subset
+  const rVals = topPixels.map((p) => p[0]).sort((a, b) => a - b);
+  const gVals = topPixels.map((p) => p[1]).sort((a, b) => a - b);
+  const bVals = topPixels.map((p) => p[2]).sort((a, b) => a - b);
+
+  const mid = Math.floor(topPixels.length / 2);
+  return [rVals[mid], gVals[mid], bVals[mid]];
+};
+
+export const getWeightedSample = (pixels, sampleSize, rng = Math.random) => {
+  const sample = [];
+  const maxAttempts = sampleSize * 10;
+  let attempts = 0;
+
+  while (sample.length < sampleSize && attempts < maxAttempts) {
+    attempts++;
+    const p = pixels[Math.floor(rng() * pixels.length)];
+    if (!p) continue;
+    const [, s] = rgbToHsl(...p);
+    // Rejection sampling: accept with probability proportional to saturation
+    if (rng() < 0.15 + 0.85 * s) {
+      sample.push(p);
+    }
+  }
+
+  // Fallback to fill remaining slots
+  while (sample.length < sampleSize) {
+    sample.push(pixels[Math.floor(rng() * pixels.length)] || [0, 0, 0]);
+  }
+
+  return sample;
+};
+
+export const kMeansClustering = (
+  pixels,
+  k,
+  maxIterations = 10,
+  sampleSize = 1000,
+  rng = Math.random,
+  metric
+) => {
+  if (pixels.length === 0 || k === 0) return [];
+
+  const sampledPixels =
+    pixels.length > sampleSize
+      ? getWeightedSample(pixels, sampleSize, rng)
+      : pixels;
+
+  let centroids = [sampledPixels[Math.floor(rng() * sampledPixels.length)]];
+
+  for (let i = 1; i < k; i++) {
+    let distances = [];
+    let totalDistance = 0;
+
+    for (const pixel of sampledPixels) {
+      let minDistance = Infinity;
+
+      for (const centroid of centroids) {
+        const distance = deltaE(pixel, centroid, metric);
+        minDistance = Math.min(minDistance, distance);
+      }
+
+      distances.push(minDistance);
+      totalDistance += minDistance;
+    }
+
+    let randomValue = rng() * totalDistance;
+    let cumulativeDistance = 0;
+
+    for (let j = 0; j < distances.length; j++) {
+      cumulativeDistance += distances[j];
+      if (cumulativeDistance >= randomValue) {
+        centroids.push(sampledPixels[j]);
+        break;
+      }
+    }
+  }
+
+  // A fixed iteration cap rather than a time limit, so the result depends
+  // only on the input and the seed, not on how fast the machine is
+  for (let iter = 0; iter < maxIterations; iter++) {
+    const clusters = Array.from({ length: k }, () => []);
+
+    for (const pixel of sampledPixels) {
+      let minDistance = Infinity;
+      let clusterIndex = 0;
+
+      for (let i = 0; i < centroids.length; i++) {
+        const distance = deltaE(pixel, centroids[i], metric);
+        if (distance < minDistance) {
+          minDistance = distance;
+          clusterIndex = i;
+        }
+      }
+
+      clusters[clusterIndex].push(pixel);
+    }
+
+    let changed = false;
+    for (let i = 0; i < k; i++) {
+      if (clusters[i].length === 0) continue;
+
+      const newCentroid = getMedianColor(clusters[i]);
+      const oldCentroid = centroids[i];
+
+      if (deltaE(newCentroid, oldCentroid, metric) > 1) {
+        centroids[i] = newCentroid;
+        changed = true;
+      }
+    }
+
+    if (!changed) break;
+  }
+
+  return centroids;
+};
+
+export const getDominantColors = (
+  pixels,
+  count,
+  rng = Math.random,
+  metric
+) => {
+  if (pixels.length < count) {
+    const result = [];
+    for (let i = 0; i < count; i++) {
+      result.push(pixels[Math.floor(rng() * pixels.length)] || [0, 0, 0]);
+    }
+    return result;
+  }
+
+  return kMeansClustering(pixels, count, 10, 1000, rng, metric);
+};
+
+/**
+ * Size of the copy an image is sampled from: at most `maxDim` pixels on its
+ * longer side, never enlarged, with whole-pixel sides of at least 1. The web
+ * app and `s1-palette/node` both downscale to this size so they see the
+ * same number of pixels.
+ */
+export const downscaledSize = (width, height, maxDim = 100) => {
+  const ratio = Math.min(1, maxDim / width, maxDim / height);
+  return {
+    width: Math.max(1, Math.round(width * ratio)),
+    height: Math.max(1, Math.round(height * ratio)),
+  };
+};
+
+// Pixels at least this opaque are sampled; more transparent ones are not
+// part of the picture
+const MIN_ALPHA = 128;
+
+/**
+ * Converts RGBA bytes to [r, g, b] pixels, skipping transparent pixels and,
+ * if a `mask` from `rasterizeSelection` is given, unselected ones.
+ */
+export const pixelsFromImageData = (data, mask) => {
+  const pixels = [];
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < MIN_ALPHA) continue;
+    if (mask && !mask[i / 4]) continue;
+    pixels.push([data[i], data[i + 1], data[i + 2]]);
+  }
+  return pixels;
+};
+
+/**
+ * Pools the pixels of several images into one set for extraction.
+ *
+ * Each source is `{ pixels, weight }`. Sources contribute in proportion to
+ * their weight regardless of their size: at weight 1 an image adds as many
+ * pixels as the largest source has, evenly resampled from its own. Sources
+ * with weight 0 are left out, unless every weight is 0.
+ */
+export const poolPixels = (sources) => {
+  if (sources.length === 1) return sources[0].pixels;
+
+  const weighted = sources.some(({ weight }) => weight > 0)
+    ? sources.filter(({ weight }) => weight > 0)
+    : sources.map((source) => ({ ...source, weight: 1 }));
+  const size = Math.max(0, ...weighted.map(({ pixels }) => pixels.length));
+
+  const pooled = [];
+  weighted.forEach(({ pixels, weight }) => {
+    if (pixels.length === 0) return;
+    const count = Math.round(size * weight);
+    for (let i = 0; i < count; i++) {
+      pooled.push(pixels[Math.floor((i * pixels.length) / count)]);
+    }
+  });
+  return pooled;
+};
+
+/**
+ * Averages the opaque pixels in a (2 * radius + 1)² neighborhood of RGBA
+ * image data `{ data, width, height }`, centered on the pixel at fractions
+ * `x`, `y` of its size. Returns null if the neighborhood is transparent.
+ */
+export const averageColorAt = ({ data, width, height }, x, y, radius = 1) => {
+  const cx = Math.min(width - 1, Math.floor(x * width));
+  const cy = Math.min(height - 1, Math.floor(y * height));
+  const sum = [0, 0, 0];
+  let count = 0;
+
+  for (let py = cy - radius; py <= cy + radius; py++) {
+    for (let px = cx - radius; px <= cx + radius; px++) {
+      if (px < 0 || py < 0 || px >= width || py >= height) continue;
+      const i = (py * width + px) * 4;
+      if (data[i + 3] < MIN_ALPHA) continue;
+      sum[0] += data[i];
+      sum[1] += data[i + 1];
+      sum[2] += data[i + 2];
+      count++;
+    }
+  }
+
+  return count > 0 ? sum.map((c) => Math.round(c / count)) : null;
+};
+
+export const filterNeutralPixels = (pixels) => {
+  const active = pixels.filter((p) => {
+    const [, s, l] = rgbToHsl(...p);
+    // Exclude if saturation < 8%, or lightness is too extreme (black/white)
+    return s >= 0.08 && l >= 0.1 && l <= 0.92;
+  });
+  return active.length > 0 ? active : pixels;
+};
+
+// Finds the base color of every category row, in category order
+const getCategoryBases = (
+  activePixels,
+  hueCategories,
+  fillMissingHues,
+  metric
+) => {
+  const catData = {};
+  let maxPixels = 0;
+  let prominentColor = [128, 128, 128]; // fallback
+  const hues = activePixels.map((p) => rgbToHsl(...p)[0]);
+
+  hueCategories.forEach((category) => {
+    const cat = category.name;
+    const catPixels = activePixels.filter((_, i) =>
+      hueInCategory(hues[i], category)
+    );
+
+    if (catPixels.length > 0) {
+      const dominant = getMedianColor(catPixels);
+      catData[cat] = {
+        dominant: dominant,
+        count: catPixels.length,
+      };
+      if (catPixels.length > maxPixels) {
+        maxPixels = catPixels.length;
+        prominentColor = dominant;
+      }
+    }
+  });
+
+  const minPixels = Math.max(15, activePixels.length * 0.01); // Require at least 1% of total pixels (min 15) to avoid noise categories
+
+  // 1. Gather active categories and sort them by pixel count (descending)
+  const activeCats = [];
+  hueCategories.forEach(({ name: cat }) => {
+    const data = catData[cat];
+    if (data && data.count >= minPixels) {
+      activeCats.push({
+        name: cat,
+        dominant: data.dominant,
+        count: data.count,
+      });
+    }
+  });
+  activeCats.sort((a, b) => b.count - a.count);
+
+  // 2. Filter out similar categories based on deltaE
+  const acceptedCats = [];
+  const similarityCatThreshold = 20; // deltaE threshold for distinct category rows
+
+  activeCats.forEach((item) => {
+    let tooSimilar = false;
+    for (const accepted of acceptedCats) {
+      const diff = deltaE(item.dominant, accepted.dominant, metric);
+      if (diff < similarityCatThreshold) {
+        tooSimilar = true;
+        break;
+      }
+    }
+    if (!tooSimilar) {
+      acceptedCats.push(item);
+    }
+  });
+
+  const finalActiveCatsMap = {};
+  acceptedCats.forEach((item) => {
+    finalActiveCatsMap[item.name] = true;
+  });
+
+  const bases = [];
+  hueCategories.forEach(({ name: cat, center }) => {
+    if (finalActiveCatsMap[cat]) {
+      bases.push({ name: cat, dominant: catData[cat].dominant });
+    } else if (fillMissingHues) {
+      // Dynamically generate base color for missing category
+      const [, s, l] = rgbToHsl(...prominentColor);
+      bases.push({ name: cat, dominant: hslToRgb(center, s, l) });
+    }
+  });
+  return bases;
+};
+
+/**
+ * The settings the UI starts with. `extractionMethod` is "categorical" or
+ * "complementary" (k-means dominant colors).
+ *
+ * `hueCategories` is the category set of the categorical method, see
+ * hueCategories.js. `seedColors` lists colors picked by hand as `{ color, target }`. A seed
+ * with a `target` row name replaces that row's base color (adding the row if
+ * the image did not produce it); one without becomes a row of its own.
+ */
+export const defaultSettings = {
+  extractionMethod: "categorical",
+  paletteType: "analogous",
+  colorsPerHue: 11,
+  dominantColorCount: 3,
+  similarityThreshold: 5,
+  useAdaptiveThreshold: false,
+  fillMissingHues: true,
+  excludeNeutrals: true,
+  harmonizeModel: "none",
+  presetHue: {},
+  colorMetric: "cie76",
+  rampSpace: "hsl",
+  seed: 0,
+  hueCategories: defaultHueCategories,
+  seedColors: [],
+  contrastStandard: "wcag",
+  fixContrast: false,
+  cvdSafe: "none",
+  exactSize: false,
+  targetSize: 96,
+  gridColumns: 12,
+};
+
+/**
+ * Runs the full extraction pipeline over a list of [r, g, b] pixels and
+ * returns the palette as rows of `{ name, colors }`.
+ *
+ * `settings` mirrors the controls in the UI; missing keys fall back to
+ * `defaultSettings`. `onProgress` is called after every stage and every
+ * finished row with `{ progress, stage, rows, palette }`, where `rows` and
+ * the flat `palette` are the part of the result generated so far.
+ */
+export const generatePaletteRows = (
+  pixels,
+  settings = {},
+  { onProgress } = {}
+) => {
+  const {
+    extractionMethod,
+    paletteType,
+    colorsPerHue,
+    dominantColorCount,
+    similarityThreshold,
+    useAdaptiveThreshold,
+    fillMissingHues,
+    excludeNeutrals,
+    harmonizeModel,
+    presetHue,
+    colorMetric,
+    rampSpace,
+    seed,
+    hueCategories,
+    seedColors,
+    contrastStandard,
+    fixContrast,
+    cvdSafe,
+    exactSize,
+    targetSize,
+    gridColumns,
+  } = { ...defaultSettings, ...settings };
+
+  if (pixels.length === 0) {
+    throw new Error(
+      "No pixels to sample: the image is transparent or the selection is empty."
+    );
+  }
+
+  const rng = createRng(seed);
+  const rows = [];
+  const report = (progress, stage) =>
+    onProgress?.({
+      progress,
+      stage,
+      rows: rows.slice(),
+      palette: flattenRows(rows),
+    });
+
+  const activePixels = excludeNeutrals ? filterNeutralPixels(pixels) : pixels;
+
+  let bases;
+  let rowLength;
+  if (extractionMethod === "categorical") {
+    report(0.05, "Sorting pixels into hue categories");
+    bases = getCategoryBases(
+      activePixels,
+      hueCategories,
+      fillMissingHues,
+      colorMetric
+    );
+    rowLength = colorsPerHue;
+  } else {
+    report(0.05, "Clustering dominant colors");
+    bases = getDominantColors(
+      activePixels,
+      dominantColorCount,
+      rng,
+      colorMetric
+    ).map((dominant, index) => ({ name: `color ${index + 1}`, dominant }));
+    rowLength = Math.max(3, Math.floor(colorsPerHue / dominantColorCount));
+  }
+
+  let pickedRows = 0;
+  seedColors.forEach(({ color, target }) => {
+    const existing = target ? bases.findIndex((b) => b.name === target) : -1;
+    if (existing !== -1) {
+      bases = bases.map((base, i) =>
+        i === existing ? { ...base, dominant: color } : base
+      );
+    } else {
+      const name = target ?? `picked ${++pickedRows}`;
+      bases = [...bases, { name, dominant: color }];
+    }
+  });
+
+  const model = resolveHarmonizeModel(harmonizeModel, presetHue);
+
+  // In exact size mode the rows share the target instead
+  const rowLengths = exactSize
+    ? allotRowLengths(targetSize, bases.length, gridColumns)
+    : bases.map(() => rowLength);
+
+  // Rows are harmonized as they are finished so partial previews match the
+  // final result, except for CVD spreading, which needs the whole palette
+  const finishRow = (variations, length) => {
+    let colors = refineRow(variations, length, {
+      similarityThreshold,
+      useAdaptiveThreshold,
+      colorMetric,
+      rampSpace,
+    });
+    if (model !== "none") colors = harmonizeColors(colors, model);
+    if (fixContrast) {
+      colors = colors.map((color) => fixColorContrast(color, contrastStandard));
+    }
+    return colors;
+  };
+
+  const rowsDone = cvdSafe !== "none" ? 0.9 : 1;
+  const rowVariations = [];
+  bases.forEach(({ name, dominant }, index) => {
+    const length = rowLengths[index];
+    if (length === 0) return;
+    const variations = generateRow(
+      paletteType,
+      dominant,
+      length,
+      rng,
+      rampSpace
+    );
+    const colors = finishRow(variations, length);
+    // Rows whose variations are all washed out or grey are left out
+    if (colors.length > 0) {
+      rows.push({ name, colors });
+      rowVariations.push(variations);
+    }
+    report(
+      0.3 + ((rowsDone - 0.3) * (index + 1)) / bases.length,
+      "Building rows"
+    );
+  });
+
+  // Rows left out leave the palette short of the target, so the remaining
+  // rows share the whole target and are stretched to their new lengths
+  if (exactSize && countSwatches(rows) !== targetSize && rows.length > 0) {
+    const lengths = allotRowLengths(targetSize, rows.length, gridColumns);
+    rows.forEach((row, i) => {
+      rows[i] = { ...row, colors: finishRow(rowVariations[i], lengths[i]) };
+    });
+    report(rowsDone, "Building rows");
+  }
+  if (exactSize && countSwatches(rows) !== targetSize) {
+    throw new Error(
+      `Only ${countSwatches(rows)} of ${targetSize} colors could be made: ` +
+        "the image has no colors saturated enough to build rows from."
+    );
+  }
+
+  if (cvdSafe !== "none") {
+    const spread = spreadForCvd(flattenRows(rows), cvdSafe, {
+      metric: colorMetric,
+      contrastStandard: fixContrast ? contrastStandard : undefined,
+    });
+    let offset = 0;
+    rows.forEach((row, i) => {
+      rows[i] = {
+        ...row,
+        colors: spread.slice(offset, (offset += row.colors.length)),
+      };
+    });
+    report(1, "Separating colors for color vision deficiency");
+  }
+
+  return rows;
+};
+
+// The same pipeline, returning the flat color list a `.colorpalette` holds
+export const generatePalette = (pixels, settings, options) =>
+  flattenRows(generatePaletteRows(pixels, settings, options));
+
+// One row per hue category (red, orange, ... magenta by default)
+export const generateCategoricalPalette = (pixels, settings = {}, options) =>
+  generatePalette(
+    pixels,
+    { ...settings, extractionMethod: "categorical" },
+    options
+  );
+
+// One row per k-means dominant color
+export const generateDominantPalette = (pixels, settings = {}, options) =>
+  generatePalette(
+    pixels,
+    { ...settings, extractionMethod: "complementary" },
+    options
+  );
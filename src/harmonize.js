@@ -0,0 +1,299 @@
+/**
+ * Harmonization models: per-color adjustments that give a palette a look.
+ *
+ * A model is a set of params: lightness and saturation are scaled by
+ * `l_mult`/`s_mult`, offset by `l_shift`/`s_shift`, then clamped to the
+ * optional `l_range`/`s_range` [min, max]. `harmonizeModels` are the
+ * built-in ones; user models use the same shape.
+ *
+ * Optional hue params are applied first, in this order: `hue_shift` rotates
+ * every hue by that many turns; `temperature` (-1 cool to 1 warm) pulls hues
+ * toward blue or orange; `key_hue` pulls hues toward one hue by
+ * `key_strength` (0–1); and `duotone` [dark hue, light hue] replaces each hue
+ * by a blend of the two according to its lightness, mixed in by
+ * `duotone_mix` (default 1).
+ *
+ * Built-in models are read-only, but their hue params can be overridden per
+ * palette through the `presetHue` setting, which keeps the overrides of each
+ * model by name; see `resolveHarmonizeModel`.
+ */
+
+import { rgbToHsl, hslToRgb } from "./color.js";
+import { interpolateHue } from "./palette.js";
+
+const WARM_HUE = 0.08;
+const COOL_HUE = 0.6;
+// Share of the way to WARM_HUE/COOL_HUE a hue moves at temperature ±1
+const TEMPERATURE_PULL = 0.35;
+
+export const harmonizeModels = {
+  "70s": {
+    temperature: 0.3,
+    l_mult: 0.85,
+    s_mult: 0.7,
+    l_shift: 0.1,
+    s_shift: 0.0,
+    l_range: [0.3, 0.7],
+    s_range: [0.4, 0.8],
+  },
+  "80s": {
+    l_mult: 1.2,
+    s_mult: 1.3,
+    l_shift: 0.0,
+    s_shift: 0.1,
+    l_range: [0.4, 0.9],
+    s_range: [0.6, 1.0],
+  },
+  vibrant: {
+    l_mult: 1.0,
+    s_mult: 1.4,
+    l_shift: 0.0,
+    s_shift: 0.2,
+    l_range: [0.3, 0.8],
+    s_range: [0.7, 1.0],
+  },
+  neon: {
+    l_mult: 1.3,
+    s_mult: 1.5,
+    l_shift: 0.1,
+    s_shift: 0.3,
+    l_range: [0.6, 1.0],
+    s_range: [0.8, 1.0],
+  },
+  pastel: {
+    l_mult: 1.2,
+    s_mult: 0.5,
+    l_shift: 0.2,
+    s_shift: 0.0,
+    l_range: [0.7, 0.95],
+    s_range: [0.2, 0.6],
+  },
+  earthy: {
+    temperature: 0.2,
+    l_mult: 0.9,
+    s_mult: 0.7,
+    l_shift: 0.0,
+    s_shift: -0.1,
+    l_range: [0.2, 0.6],
+    s_range: [0.3, 0.7],
+  },
+  jewel: {
+    l_mult: 0.8,
+    s_mult: 1.2,
+    l_shift: 0.0,
+    s_shift: 0.1,
+    l_range: [0.3, 0.7],
+    s_range: [0.8, 1.0],
+  },
+  none: {
+    l_mult: 1.0,
+    s_mult: 1.0,
+    l_shift: 0.0,
+    s_shift: 0.0,
+  },
+};
+
+// Hue params the `presetHue` setting may override on a built-in model
+export const presetHueParams = [
+  "hue_shift",
+  "temperature",
+  "key_hue",
+  "key_strength",
+];
+
+/**
+ * The model to harmonize with: a built-in model's name, or its params with
+ * the overrides `presetHue` holds for that name applied, if there are any.
+ * User models (params objects) and "none" are returned unchanged, since the
+ * former carry their own hue params and the latter means no harmonization.
+ */
+export const resolveHarmonizeModel = (model, presetHue = {}) => {
+  const builtIn =
+    typeof model === "string" &&
+    model !== "none" &&
+    Object.hasOwn(harmonizeModels, model);
+  const overrides = builtIn ? presetHue[model] : undefined;
+  if (!overrides || Object.keys(overrides).length === 0) return model;
+  return { ...harmonizeModels[model], ...overrides };
+};
+
+// `model` is the name of a built-in model or a params object
+export const harmonizeColors = (colors, model) => {
+  const params =
+    typeof model === "object" && model !== null
+      ? model
+      : harmonizeModels[model] || harmonizeModels.none;
+
+  return colors.map((color) => {
+    let [h, s, l] = rgbToHsl(...color);
+
+    if (params.hue_shift) h = (((h + params.hue_shift) % 1) + 1) % 1;
+    if (params.temperature) {
+      h = interpolateHue(
+        h,
+        params.temperature > 0 ? WARM_HUE : COOL_HUE,
+        Math.abs(params.temperature) * TEMPERATURE_PULL
+      );
+    }
+    if (params.key_strength) {
+      h = interpolateHue(h, params.key_hue ?? 0, params.key_strength);
+    }
+    if (params.duotone) {
+      const [dark, light] = params.duotone;
+      const tone = interpolateHue(dark, light, l);
+      h = interpolateHue(h, tone, params.duotone_mix ?? 1);
+    }
+
+    // A multiplier of 0 is valid: it sets the channel to the shift alone
+    if (params.l_mult !== undefined) {
+      l = l * params.l_mult + (params.l_shift ?? 0);
+    }
+    if (params.s_mult !== undefined) {
+      s = s * params.s_mult + (params.s_shift ?? 0);
+    }
+
+    if (params.l_range)
+      l = Math.max(params.l_range[0], Math.min(params.l_range[1], l));
+    if (params.s_range)
+      s = Math.max(params.s_range[0], Math.min(params.s_range[1], s));
+
+    l = Math.min(1.0, Math.max(0.0, l));
+    s = Math.min(1.0, Math.max(0.0, s));
+
+    return hslToRgb(h, s, l);
+  });
+};
+
+export const serializeHarmonizeModels = (models) =>
+  JSON.stringify({ models }, null, 2);
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// A [min, max] pair within 0–1; hue pairs may be in either order
+const parseRange = (name, key, range, ordered = true) => {
+  if (range === undefined || range === null) return undefined;
+  const valid =
+    Array.isArray(range) &&
+    range.length === 2 &&
+    range.every((v) => isNumber(v) && v >= 0 && v <= 1) &&
+    (!ordered || range[0] <= range[1]);
+  if (!valid) {
+    const pair = ordered ? "[min, max]" : "a pair of hues";
+    throw new Error(`Model "${name}": ${key} must be ${pair} within 0 to 1.`);
+  }
+  return range;
+};
+
+// Checks one model's params, filling in neutral defaults for missing ones
+export const parseHarmonizeModel = (name, params) => {
+  if (typeof params !== "object" || params === null) {
+    throw new Error(`Model "${name}" is not an object.`);
+  }
+  const model = {
+    l_mult: params.l_mult ?? 1.0,
+    s_mult: params.s_mult ?? 1.0,
+    l_shift: params.l_shift ?? 0.0,
+    s_shift: params.s_shift ?? 0.0,
+  };
+  Object.entries(model).forEach(([key, value]) => {
+    if (!isNumber(value)) {
+      throw new Error(`Model "${name}": ${key} must be a number.`);
+    }
+  });
+  const hue = {};
+  [
+    ["hue_shift", -1, 1],
+    ["temperature", -1, 1],
+    ["key_hue", 0, 1],
+    ["key_strength", 0, 1],
+    ["duotone_mix", 0, 1],
+  ].forEach(([key, min, max]) => {
+    const value = params[key];
+    if (value === undefined) return;
+    if (!isNumber(value) || value < min || value > max) {
+      throw new Error(
+        `Model "${name}": ${key} must be from ${min} to ${max}.`
+      );
+    }
+    hue[key] = value;
+  });
+  const duotone = parseRange(name, "duotone", params.duotone, false);
+  const l_range = parseRange(name, "l_range", params.l_range);
+  const s_range = parseRange(name, "s_range", params.s_range);
+  return {
+    ...hue,
+    ...(duotone && { duotone }),
+    ...model,
+    ...(l_range && { l_range }),
+    ...(s_range && { s_range }),
+  };
+};
+
+/**
+ * Reads models saved by `serializeHarmonizeModels`: `{ models: { name:
+ * params } }`. Built-in names cannot be redefined. Throws an Error
+ * describing the first problem found.
+ */
+export const parseHarmonizeModels = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a valid JSON file.");
+  }
+
+  const models = data?.models;
+  if (typeof models !== "object" || models === null || Array.isArray(models)) {
+    throw new Error('Expected a "models" object of name: params.');
+  }
+
+  return Object.fromEntries(
+    Object.entries(models).map(([name, params]) => {
+      if (name in harmonizeModels) {
+        throw new Error(`"${name}" is a built-in model name.`);
+      }
+      return [name, parseHarmonizeModel(name, params)];
+    })
+  );
+};
+
+// `base`, or "base 2", "base 3", ... if a built-in or one of `models` has it
+export const uniqueModelName = (models, base) => {
+  let name = base;
+  for (let n = 2; name in models || name in harmonizeModels; n++) {
+    name = `${base} ${n}`;
+  }
+  return name;
+};
+
+const sameParams = (a, b) =>
+  Object.keys(a).length === Object.keys(b).length &&
+  Object.keys(a).every(
+    (key) => JSON.stringify(a[key]) === JSON.stringify(b[key])
+  );
+
+/**
+ * Adds the `incoming` user models to `models`. A model whose name is taken
+ * by one with other params is added under a free name instead (or matched
+ * to a model with the same params), so neither the local model nor the
+ * palette made with the incoming one changes.
+ * Returns `{ models, renamed }`, `renamed` mapping incoming names to the
+ * names they were added under.
+ */
+export const mergeHarmonizeModels = (models, incoming) => {
+  const merged = { ...models };
+  const renamed = {};
+  Object.entries(incoming).forEach(([name, params]) => {
+    if (!(name in merged)) {
+      merged[name] = params;
+    } else if (!sameParams(merged[name], params)) {
+      // Opening the same palette again reuses the copy made the first time
+      const copy =
+        Object.keys(merged).find((key) => sameParams(merged[key], params)) ??
+        uniqueModelName(merged, name);
+      merged[copy] = params;
+      renamed[name] = copy;
+    }
+  });
+  return { models: merged, renamed };
+};
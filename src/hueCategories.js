@@ -0,0 +1,148 @@
+/**
+ * Hue categories for the categorical extraction method.
+ *
+ * A category set is an ordered list of `{ name, start, end, center }`. Each
+ * category covers the arc of the hue wheel from `start` up to (excluding)
+ * `end`, hues being fractions of a turn; an arc with `start > end` wraps
+ * through 0, like red. `center` is the hue a missing category is filled with.
+ * Rows come out in list order.
+ *
+ * The editing operations treat the set as a partition of the wheel, where
+ * each category ends where the next one starts. They are pure and return a
+ * new list.
+ */
+
+export const defaultHueCategories = [
+  { name: "red", start: 0.95, end: 0.05, center: 0.0 },
+  { name: "orange", start: 0.05, end: 0.13, center: 0.09 },
+  { name: "yellow", start: 0.13, end: 0.24, center: 0.185 },
+  { name: "green", start: 0.24, end: 0.44, center: 0.34 },
+  { name: "teal", start: 0.44, end: 0.54, center: 0.49 },
+  { name: "blue", start: 0.54, end: 0.69, center: 0.615 },
+  { name: "purple", start: 0.69, end: 0.83, center: 0.76 },
+  { name: "magenta", start: 0.83, end: 0.95, center: 0.89 },
+];
+
+// Narrowest arc the editor lets a category shrink to
+const MIN_ARC = 0.01;
+
+// Length of the arc from `from` to `to`, going up through 1 back to 0
+export const arcLength = (from, to) => {
+  const length = (((to - from) % 1) + 1) % 1;
+  return length === 0 ? 1 : length;
+};
+
+export const hueInCategory = (h, { start, end }) =>
+  start < end ? h >= start && h < end : h >= start || h < end;
+
+// Hues the editor produces are rounded so saved sets stay readable
+const roundHue = (h) => (Math.round(h * 10000) / 10000) % 1;
+
+const midpoint = ({ start, end }) =>
+  roundHue(start + arcLength(start, end) / 2);
+
+const previousIndex = (list, index) => (index - 1 + list.length) % list.length;
+
+/**
+ * Splits a category in half. The new category `name` takes the upper half
+ * and is inserted right after it.
+ */
+export const splitHueCategory = (list, index, name) => {
+  const category = list[index];
+  const middle = midpoint(category);
+  const lower = { ...category, end: middle };
+  const upper = { name, start: middle, end: category.end, center: 0 };
+  upper.center = midpoint(upper);
+  if (!hueInCategory(lower.center, lower)) lower.center = midpoint(lower);
+  return [...list.slice(0, index), lower, upper, ...list.slice(index + 1)];
+};
+
+// Removes a category, handing its arc to the category before it
+export const removeHueCategory = (list, index) => {
+  if (list.length <= 1) return list;
+  const removed = list[index];
+  const prev = previousIndex(list, index);
+  return list
+    .map((category, i) =>
+      i === prev && category.end === removed.start
+        ? { ...category, end: removed.end }
+        : category
+    )
+    .filter((_, i) => i !== index);
+};
+
+/**
+ * Moves the start of category `index` to `hue`, and the end of the category
+ * before it with it. Returns the list unchanged if that would make either
+ * category narrower than MIN_ARC or swallow a neighbor.
+ */
+export const moveHueBoundary = (list, index, hue) => {
+  const category = list[index];
+  const prev = previousIndex(list, index);
+  const before = list[prev];
+  const linked = list.length > 1 && before.end === category.start;
+  const floor = linked ? before.start : category.start;
+  const span = linked
+    ? arcLength(before.start, category.end)
+    : arcLength(category.start, category.end);
+  const next = roundHue(((hue % 1) + 1) % 1);
+
+  if (linked) {
+    const lower = arcLength(floor, next);
+    if (lower < MIN_ARC || lower > span - MIN_ARC) return list;
+  } else if (arcLength(next, category.end) < MIN_ARC) {
+    return list;
+  }
+
+  return list.map((c, i) => {
+    if (i === index) return { ...c, start: next };
+    if (i === prev && linked) return { ...c, end: next };
+    return c;
+  });
+};
+
+export const serializeHueCategories = (list) =>
+  JSON.stringify({ categories: list }, null, 2);
+
+const isHue = (value) =>
+  typeof value === "number" &&
+  Number.isFinite(value) &&
+  value >= 0 &&
+  value <= 1;
+
+/**
+ * Reads a category set saved by `serializeHueCategories` (or a bare array
+ * of categories). `center` defaults to the middle of the arc. Throws an Error
+ * describing the first problem found.
+ */
+export const parseHueCategories = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a valid JSON file.");
+  }
+
+  const list = Array.isArray(data) ? data : data?.categories;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('Expected a non-empty "categories" array.');
+  }
+
+  const names = new Set();
+  return list.map((entry, i) => {
+    const name = typeof entry?.name === "string" ? entry.name.trim() : "";
+    if (!name) throw new Error(`Category ${i + 1} has no name.`);
+    if (names.has(name)) throw new Error(`Duplicate category "${name}".`);
+    names.add(name);
+    if (!isHue(entry.start) || !isHue(entry.end)) {
+      throw new Error(
+        `Category "${name}" needs start and end hues from 0 to 1.`
+      );
+    }
+    if (entry.center !== undefined && !isHue(entry.center)) {
+      throw new Error(`Category "${name}" has a center hue outside 0 to 1.`);
+    }
+    const category = { name, start: entry.start % 1, end: entry.end % 1 };
+    return { ...category, center: entry.center ?? midpoint(category) };
+  });
+};
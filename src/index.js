@@ -0,0 +1,155 @@
+/**
+ * Headless palette library.
+ *
+ * Everything the web app uses to build a palette, without any DOM access, so
+ * palettes can be generated from scripts and on Node. Colors are [r, g, b]
+ * arrays with 0–255 channels; images are passed as lists of such pixels
+ * (see `pixelsFromImageData` for canvas-style RGBA data).
+ *
+ * Node-only helpers for decoding PNG/JPEG files live in `./node.js`.
+ *
+ * @example
+ * import { generatePalette, serializeColorPalette } from "s1-palette";
+ *
+ * const colors = generatePalette(pixels, { paletteType: "triadic", seed: 7 });
+ * fs.writeFileSync("out.colorpalette", serializeColorPalette(colors));
+ */
+
+// Color math
+export {
+  rgbToHex,
+  hexToRgb,
+  rgbToHsl,
+  hslToRgb,
+  rgbToLab,
+  rgbToOklab,
+  rgbToOklch,
+  oklchToRgb,
+  colorMetrics,
+  deltaE,
+} from "./color.js";
+export {
+  apcaContrast,
+  contrastReport,
+  contrastStandards,
+  fixColorContrast,
+  relativeLuminance,
+  textColorFor,
+  textColors,
+  wcagContrast,
+} from "./contrast.js";
+export {
+  cvdTypes,
+  findCvdCollisions,
+  simulateCvd,
+  spreadForCvd,
+} from "./cvd.js";
+export {
+  harmonizeColors,
+  harmonizeModels,
+  mergeHarmonizeModels,
+  parseHarmonizeModel,
+  parseHarmonizeModels,
+  presetHueParams,
+  resolveHarmonizeModel,
+  serializeHarmonizeModels,
+  uniqueModelName,
+} from "./harmonize.js";
+
+// Row generators
+export {
+  filterSimilarColors,
+  generateColorVariations,
+  generateComplementaryPalette,
+  generateTriadicPalette,
+  generateSplitComplementaryPalette,
+  generateTetradicPalette,
+  generateSquarePalette,
+  generateCompoundPalette,
+  generateAnalogousPalette,
+  generateMonochromaticPalette,
+  paletteTypes,
+  rampSpaces,
+  generateRow,
+  refineRow,
+  getAdaptiveThreshold,
+  stretchPaletteRow,
+} from "./palette.js";
+
+// Extraction pipelines
+export {
+  defaultSettings,
+  pixelsFromImageData,
+  downscaledSize,
+  poolPixels,
+  averageColorAt,
+  filterNeutralPixels,
+  getMedianColor,
+  getDominantColors,
+  kMeansClustering,
+  generatePalette,
+  generatePaletteRows,
+  generateCategoricalPalette,
+  generateDominantPalette,
+} from "./extract.js";
+export { rasterizeSelection, selectionTools } from "./selection.js";
+export {
+  defaultHueCategories,
+  hueInCategory,
+  arcLength,
+  splitHueCategory,
+  removeHueCategory,
+  moveHueBoundary,
+  parseHueCategories,
+  serializeHueCategories,
+} from "./hueCategories.js";
+
+// Palette grid editing
+export {
+  flattenRows,
+  countSwatches,
+  allotRowLengths,
+  countGridGaps,
+  updateSwatch,
+  removeSwatch,
+  insertSwatch,
+  duplicateSwatch,
+  moveSwatch,
+  isPinned,
+  toggleRowLock,
+  toggleSwatchPin,
+  applyLocks,
+} from "./paletteRows.js";
+
+// Studio One file format and seeding
+export {
+  formatColor,
+  parseColor,
+  parseColorPalette,
+  serializeColorPalette,
+} from "./colorpalette.js";
+export {
+  exportFormats,
+  serializeAse,
+  serializeGpl,
+  serializeCssVariables,
+  serializeDesignTokens,
+  renderSwatchSheetSvg,
+} from "./exportFormats.js";
+export {
+  dawProfiles,
+  exportForDaw,
+  fitColorLimit,
+  serializeHexList,
+  serializeSwsColor,
+} from "./dawProfiles.js";
+export {
+  createLibraryEntry,
+  parseLibrary,
+  parseTags,
+  searchLibrary,
+  serializeLibrary,
+} from "./paletteLibrary.js";
+export { decodePermalink, encodePermalink } from "./permalink.js";
+export { clampSetting, parseSettings } from "./settings.js";
+export { createRng, randomSeed, normalizeSeed, MAX_SEED } from "./random.js";
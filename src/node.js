@@ -0,0 +1,89 @@
+/**
+ * Node-only image decoding for the headless library and the CLI.
+ *
+ * Decodes PNG and JPEG files with pure-JS decoders and downscales them the
+ * same way the web app does (longest side 100px), so no browser or native
+ * canvas is needed.
+ */
+
+import { readFile } from "node:fs/promises";
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+import { pixelsFromImageData, downscaledSize } from "./extract.js";
+
+const isPng = (buf) =>
+  buf.length > 8 &&
+  buf[0] === 0x89 &&
+  buf[1] === 0x50 &&
+  buf[2] === 0x4e &&
+  buf[3] === 0x47;
+
+const isJpeg = (buf) => buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8;
+
+/**
+ * Decodes a PNG or JPEG buffer into `{ width, height, data }` with RGBA bytes.
+ * Throws for any other format.
+ */
+export const decodeImage = (buffer) => {
+  if (isPng(buffer)) {
+    const { width, height, data } = PNG.sync.read(buffer);
+    return { width, height, data };
+  }
+  if (isJpeg(buffer)) {
+    const { width, height, data } = jpeg.decode(buffer, {
+      useTArray: true,
+      formatAsRGBA: true,
+    });
+    return { width, height, data };
+  }
+  throw new Error("Unsupported image format (expected PNG or JPEG).");
+};
+
+/**
+ * Box-filters RGBA data down to `downscaledSize`, at most `maxDim` pixels on
+ * its longest side.
+ * Color is averaged weighted by alpha, like a canvas draw would blend it.
+ */
+export const downscaleImageData = ({ width, height, data }, maxDim = 100) => {
+  const { width: outW, height: outH } = downscaledSize(width, height, maxDim);
+  const out = new Uint8ClampedArray(outW * outH * 4);
+
+  for (let y = 0; y < outH; y++) {
+    const y0 = Math.floor((y * height) / outH);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * height) / outH));
+    for (let x = 0; x < outW; x++) {
+      const x0 = Math.floor((x * width) / outW);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * width) / outW));
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * width + sx) * 4;
+          const alpha = data[i + 3];
+          r += data[i] * alpha;
+          g += data[i + 1] * alpha;
+          b += data[i + 2] * alpha;
+          a += alpha;
+        }
+      }
+      const o = (y * outW + x) * 4;
+      const count = (y1 - y0) * (x1 - x0);
+      if (a > 0) {
+        out[o] = r / a;
+        out[o + 1] = g / a;
+        out[o + 2] = b / a;
+      }
+      out[o + 3] = a / count;
+    }
+  }
+
+  return { width: outW, height: outH, data: out };
+};
+
+// Reads an image file and returns the [r, g, b] pixels the pipeline expects
+export const loadImagePixels = async (path) => {
+  const image = decodeImage(await readFile(path));
+  return pixelsFromImageData(downscaleImageData(image).data);
+};
@@ -0,0 +1,415 @@
+/**
+ * Row generators: turn one base color into a row of tints and shades, then
+ * filter and stretch the row back to a fixed length.
+ */
+
+import {
+  rgbToHsl,
+  hslToRgb,
+  rgbToOklch,
+  oklchToRgb,
+  deltaE,
+} from "./color.js";
+
+export const filterSimilarColors = (colors, threshold = 10, metric) => {
+  if (colors.length <= 1) return colors;
+
+  const filtered = [colors[0]];
+
+  for (let i = 1; i < colors.length; i++) {
+    const color = colors[i];
+    let isSimilar = false;
+
+    for (let j = 0; j < filtered.length; j++) {
+      const existingColor = filtered[j];
+      const difference = deltaE(color, existingColor, metric);
+
+      if (difference < threshold) {
+        isSimilar = true;
+        break;
+      }
+    }
+
+    if (!isSimilar) {
+      filtered.push(color);
+    }
+  }
+
+  return filtered;
+};
+
+/**
+ * Color spaces rows can be built in. Each exposes its color as a
+ * [hue, chroma, lightness] triple — HSL's [h, s, l] or OKLCH's [h, C, L] —
+ * plus the lightness span a full ramp covers. The OKLCH span matches the
+ * HSL one for greys, but steps evenly in perceived lightness for every hue.
+ */
+export const rampSpaces = {
+  hsl: {
+    label: "HSL",
+    toHcl: (color) => rgbToHsl(...color),
+    fromHcl: (h, c, l) => hslToRgb(h, c, l),
+    minL: 0.15,
+    maxL: 0.85,
+    maxC: 1,
+    jitterC: 0.1,
+  },
+  oklch: {
+    label: "OKLCH",
+    toHcl: (color) => {
+      const [L, C, h] = rgbToOklch(...color);
+      return [h, C, L];
+    },
+    fromHcl: (h, c, l) => oklchToRgb(l, c, h),
+    minL: 0.29,
+    maxL: 0.88,
+    // Out-of-gamut chroma is mapped back by oklchToRgb
+    maxC: Infinity,
+    jitterC: 0.04,
+  },
+};
+
+const getRampSpace = (space) => rampSpaces[space] || rampSpaces.hsl;
+
+const rampLightness = (ramp, t) => ramp.minL + (ramp.maxL - ramp.minL) * t;
+
+const sortByLightness = (colors, ramp) =>
+  colors.sort((a, b) => ramp.toHcl(b)[2] - ramp.toHcl(a)[2]);
+
+// The base color with its hue turned by `turns`, keeping chroma and lightness
+const rotateHue = (color, turns, ramp) => {
+  const [h, c, l] = ramp.toHcl(color);
+  return ramp.fromHcl((h + turns) % 1.0, c, l);
+};
+
+export const generateColorVariations = (
+  baseColor,
+  numVariations,
+  rng = Math.random,
+  space = "hsl"
+) => {
+  const ramp = getRampSpace(space);
+  const variations = [];
+  const [baseH, baseC] = ramp.toHcl(baseColor);
+
+  for (let i = 0; i < numVariations; i++) {
+    // A single variation sits at mid lightness
+    const t = numVariations > 1 ? i / (numVariations - 1) : 0.5;
+    const varL = rampLightness(ramp, t);
+    const varH = (baseH + (rng() - 0.5) * 0.05) % 1;
+    const varC = Math.min(
+      ramp.maxC,
+      Math.max(0, baseC + (rng() - 0.5) * ramp.jitterC)
+    );
+    variations.push(ramp.fromHcl(varH, varC, varL));
+  }
+
+  return sortByLightness(variations, ramp);
+};
+
+export const generateComplementaryPalette = (
+  baseColor,
+  numVariations,
+  rng = Math.random,
+  space = "hsl"
+) => {
+  const ramp = getRampSpace(space);
+
+  const baseVariations = generateColorVariations(
+    baseColor,
+    Math.ceil(numVariations / 2),
+    rng,
+    space
+  );
+  const compVariations = generateColorVariations(
+    rotateHue(baseColor, 0.5, ramp),
+    Math.floor(numVariations / 2),
+    rng,
+    space
+  );
+
+  return [...baseVariations, ...compVariations];
+};
+
+/**
+ * Splits a row of `numVariations` between the base hue and hues turned by
+ * each of `offsets`: the base gets a 1/n share rounded up, the others share
+ * the rest evenly and the last takes what remains.
+ */
+const generateHueSetPalette = (
+  baseColor,
+  numVariations,
+  offsets,
+  rng = Math.random,
+  space = "hsl"
+) => {
+  const ramp = getRampSpace(space);
+  const parts = offsets.length + 1;
+  const baseCount = Math.ceil(numVariations / parts);
+  const shareCount = Math.floor((numVariations - baseCount) / offsets.length);
+
+  const variations = generateColorVariations(baseColor, baseCount, rng, space);
+  offsets.forEach((turns, i) => {
+    const count =
+      i < offsets.length - 1
+        ? shareCount
+        : numVariations - baseCount - shareCount * (offsets.length - 1);
+    variations.push(
+      ...generateColorVariations(
+        rotateHue(baseColor, turns, ramp),
+        count,
+        rng,
+        space
+      )
+    );
+  });
+
+  return variations;
+};
+
+export const generateTriadicPalette = (
+  baseColor,
+  numVariations,
+  rng = Math.random,
+  space = "hsl"
+) =>
+  generateHueSetPalette(baseColor, numVariations, [1 / 3, 2 / 3], rng, space);
+
+// The base and the two hues 30° either side of its complement
+export const generateSplitComplementaryPalette = (
+  baseColor,
+  numVariations,
+  rng = Math.random,
+  space = "hsl"
+) =>
+  generateHueSetPalette(baseColor, numVariations, [5 / 12, 7 / 12], rng, space);
+
+// Two complementary pairs 60° apart (a rectangle on the wheel)
+export const generateTetradicPalette = (
+  baseColor,
+  numVariations,
+  rng = Math.random,
+  space = "hsl"
+) =>
+  generateHueSetPalette(
+    baseColor,
+    numVariations,
+    [1 / 6, 1 / 2, 2 / 3],
+    rng,
+    space
+  );
+
+// Four hues 90° apart
+export const generateSquarePalette = (
+  baseColor,
+  numVariations,
+  rng = Math.random,
+  space = "hsl"
+) =>
+  generateHueSetPalette(
+    baseColor,
+    numVariations,
+    [1 / 4, 1 / 2, 3 / 4],
+    rng,
+    space
+  );
+
+// The base with a 30° neighbor, and the complement with a neighbor 30° back
+// toward the base
+export const generateCompoundPalette = (
+  baseColor,
+  numVariations,
+  rng = Math.random,
+  space = "hsl"
+) =>
+  generateHueSetPalette(
+    baseColor,
+    numVariations,
+    [1 / 12, 1 / 2, 5 / 12],
+    rng,
+    space
+  );
+
+export const generateAnalogousPalette = (
+  baseColor,
+  numVariations,
+  space = "hsl"
+) => {
+  const ramp = getRampSpace(space);
+  const [h, c] = ramp.toHcl(baseColor);
+  const analogousRange = 0.08;
+
+  const variations = [];
+  for (let i = 0; i < numVariations; i++) {
+    const t = numVariations > 1 ? i / (numVariations - 1) : 0.5;
+    const varH = (h + analogousRange * (t - 0.5)) % 1;
+    const varL = rampLightness(ramp, t);
+    variations.push(ramp.fromHcl(varH, c, varL));
+  }
+
+  return sortByLightness(variations, ramp);
+};
+
+export const generateMonochromaticPalette = (
+  baseColor,
+  numVariations,
+  space = "hsl"
+) => {
+  const ramp = getRampSpace(space);
+  const [h, c] = ramp.toHcl(baseColor);
+
+  const variations = [];
+  for (let i = 0; i < numVariations; i++) {
+    // A single variation sits at mid lightness
+    const t = numVariations > 1 ? i / (numVariations - 1) : 0.5;
+    const varL = rampLightness(ramp, t);
+    variations.push(ramp.fromHcl(h, c, varL));
+  }
+
+  return variations;
+};
+
+export const getAdaptiveThreshold = (colors, userThreshold, metric) => {
+  if (colors.length < 10) return userThreshold;
+
+  const sampleSize = Math.min(colors.length, 30);
+  let totalDistance = 0;
+  let comparisons = 0;
+
+  for (let i = 0; i < sampleSize; i += 2) {
+    for (let j = i + 1; j < sampleSize; j += 3) {
+      totalDistance += deltaE(colors[i], colors[j], metric);
+      comparisons++;
+    }
+  }
+
+  const avgDistance = totalDistance / comparisons;
+  const adaptiveBase = Math.max(2, Math.min(20, avgDistance * 0.3));
+
+  // Blend user preference with adaptive suggestion
+  return userThreshold * 0.7 + adaptiveBase * 0.3;
+};
+
+export const interpolateHue = (h1, h2, t) => {
+  let diff = h2 - h1;
+  if (diff > 0.5) {
+    diff -= 1.0;
+  } else if (diff < -0.5) {
+    diff += 1.0;
+  }
+  return (h1 + diff * t + 1.0) % 1.0;
+};
+
+export const stretchPaletteRow = (uniqueColors, k, space = "hsl") => {
+  if (uniqueColors.length === 0) return [];
+  const ramp = getRampSpace(space);
+
+  // Convert to the ramp space and sort by lightness
+  const hclColors = uniqueColors.map((rgb) => {
+    const [h, c, l] = ramp.toHcl(rgb);
+    return { h, c, l };
+  });
+  hclColors.sort((a, b) => b.l - a.l); // Sort light to dark
+
+  const result = [];
+  const M = hclColors.length;
+
+  if (M === 1) {
+    // Monochromatic stretch
+    const { h, c } = hclColors[0];
+    for (let i = 0; i < k; i++) {
+      const t = k > 1 ? i / (k - 1) : 0.5;
+      result.push(ramp.fromHcl(h, c, rampLightness(ramp, t)));
+    }
+  } else {
+    // Interpolation stretch
+    for (let i = 0; i < k; i++) {
+      const t = k > 1 ? i / (k - 1) : 0.0;
+      const idx = t * (M - 1);
+      const low = Math.floor(idx);
+      const high = Math.ceil(idx);
+      const weight = idx - low;
+
+      const cLow = hclColors[low];
+      const cHigh = hclColors[high];
+
+      const h = interpolateHue(cLow.h, cHigh.h, weight);
+      const c = cLow.c + (cHigh.c - cLow.c) * weight;
+      const l = cLow.l + (cHigh.l - cLow.l) * weight;
+
+      result.push(ramp.fromHcl(h, c, l));
+    }
+  }
+
+  // Sort final result by lightness (light to dark)
+  return sortByLightness(result, ramp);
+};
+
+export const paletteTypes = [
+  "complementary",
+  "split-complementary",
+  "triadic",
+  "tetradic",
+  "square",
+  "compound",
+  "analogous",
+  "monochromatic",
+  "variations",
+];
+
+export const generateRow = (
+  paletteType,
+  baseColor,
+  count,
+  rng = Math.random,
+  space = "hsl"
+) => {
+  switch (paletteType) {
+    case "complementary":
+      return generateComplementaryPalette(baseColor, count, rng, space);
+    case "split-complementary":
+      return generateSplitComplementaryPalette(baseColor, count, rng, space);
+    case "triadic":
+      return generateTriadicPalette(baseColor, count, rng, space);
+    case "tetradic":
+      return generateTetradicPalette(baseColor, count, rng, space);
+    case "square":
+      return generateSquarePalette(baseColor, count, rng, space);
+    case "compound":
+      return generateCompoundPalette(baseColor, count, rng, space);
+    case "analogous":
+      return generateAnalogousPalette(baseColor, count, space);
+    case "monochromatic":
+      return generateMonochromaticPalette(baseColor, count, space);
+    default:
+      return generateColorVariations(baseColor, count, rng, space);
+  }
+};
+
+// Drops washed-out and near-duplicate variations, then stretches the
+// survivors back to a row of `count` colors
+export const refineRow = (
+  variations,
+  count,
+  {
+    similarityThreshold,
+    useAdaptiveThreshold = false,
+    colorMetric,
+    rampSpace,
+  } = {}
+) => {
+  const filtered = variations.filter((color) => {
+    const [, s, l] = rgbToHsl(...color);
+    return l > 0.1 && l < 0.95 && s > 0.1;
+  });
+
+  const threshold = useAdaptiveThreshold
+    ? getAdaptiveThreshold(filtered, similarityThreshold, colorMetric)
+    : similarityThreshold;
+
+  return stretchPaletteRow(
+    filterSimilarColors(filtered, threshold, colorMetric),
+    count,
+    rampSpace
+  );
+};
@@ -0,0 +1,157 @@
+/**
+ * Saved palettes and the backup file that carries them between machines.
+ *
+ * An entry is `{ id, name, tags, rows, settings, models, thumbnail, created,
+ * updated }`: the palette rows as the grid showed them (locks included), the
+ * settings that produced them, the user harmonization models those settings
+ * refer to, a small data URL of the source image (or null) and timestamps in
+ * milliseconds.
+ */
+
+import { harmonizeModels, parseHarmonizeModel } from "./harmonize.js";
+import { parseSettings } from "./settings.js";
+
+export const LIBRARY_VERSION = 1;
+
+// "Drums, warm ,drums" -> ["drums", "warm"]
+export const parseTags = (text) => [
+  ...new Set(
+    text
+      .split(",")
+      .map((tag) => tag.trim().toLowerCase())
+      .filter(Boolean)
+  ),
+];
+
+/**
+ * A new entry, or an update of `previous` keeping its id and creation time.
+ * `customModels` are the user's models by name; only the one the settings
+ * use is stored.
+ */
+export const createLibraryEntry = (
+  { name, tags = [], rows, settings, customModels = {}, thumbnail = null },
+  previous
+) => {
+  const now = Date.now();
+  const model = settings.harmonizeModel;
+  return {
+    id:
+      previous?.id ??
+      `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    tags,
+    rows,
+    settings,
+    models: model in customModels ? { [model]: customModels[model] } : {},
+    thumbnail,
+    created: previous?.created ?? now,
+    updated: now,
+  };
+};
+
+/**
+ * Entries whose name or tags contain every word of `query`, most recently
+ * updated first.
+ */
+export const searchLibrary = (entries, query = "") => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return entries
+    .filter((entry) => {
+      const text = [entry.name, ...entry.tags].join(" ").toLowerCase();
+      return words.every((word) => text.includes(word));
+    })
+    .sort((a, b) => b.updated - a.updated);
+};
+
+export const serializeLibrary = (entries) =>
+  JSON.stringify({ version: LIBRARY_VERSION, entries }, null, 2);
+
+const isChannel = (c) => Number.isInteger(c) && c >= 0 && c <= 255;
+
+const parseRows = (rows) => {
+  const valid =
+    Array.isArray(rows) &&
+    rows.every(
+      (row) =>
+        typeof row?.name === "string" &&
+        Array.isArray(row.colors) &&
+        row.colors.every(
+          (color) =>
+            Array.isArray(color) && color.length === 3 && color.every(isChannel)
+        )
+    );
+  if (!valid) {
+    throw new Error("rows must be a list of { name, colors } with RGB colors.");
+  }
+  return rows;
+};
+
+// Checks one backup entry, filling in defaults for optional fields
+const parseLibraryEntry = (entry) => {
+  if (typeof entry?.id !== "string" || !entry.id) {
+    throw new Error("missing id.");
+  }
+  if (typeof entry.name !== "string" || !entry.name.trim()) {
+    throw new Error("missing name.");
+  }
+  const tags = entry.tags ?? [];
+  if (!Array.isArray(tags) || !tags.every((tag) => typeof tag === "string")) {
+    throw new Error("tags must be a list of strings.");
+  }
+  if (
+    entry.settings != null &&
+    (typeof entry.settings !== "object" || Array.isArray(entry.settings))
+  ) {
+    throw new Error("settings must be an object.");
+  }
+  // Invalid settings fall back to their defaults rather than failing the
+  // whole backup
+  const { settings } = parseSettings(entry.settings);
+  const thumbnail = entry.thumbnail ?? null;
+  if (thumbnail !== null && !/^data:image\//.test(thumbnail)) {
+    throw new Error("thumbnail must be an image data URL.");
+  }
+  const models = Object.fromEntries(
+    Object.entries(entry.models ?? {})
+      .filter(([name]) => !(name in harmonizeModels))
+      .map(([name, params]) => [name, parseHarmonizeModel(name, params)])
+  );
+  const created = Number.isFinite(entry.created) ? entry.created : Date.now();
+  return {
+    id: entry.id,
+    name: entry.name.trim(),
+    tags,
+    rows: parseRows(entry.rows),
+    settings,
+    models,
+    thumbnail,
+    created,
+    updated: Number.isFinite(entry.updated) ? entry.updated : created,
+  };
+};
+
+/**
+ * Reads a backup written by `serializeLibrary`. Throws with the number of
+ * the first malformed entry.
+ */
+export const parseLibrary = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a valid JSON file.");
+  }
+  if (!Array.isArray(data?.entries)) {
+    throw new Error('Expected an "entries" list of saved palettes.');
+  }
+  if (data.version > LIBRARY_VERSION) {
+    throw new Error(`Library version ${data.version} is newer than this app.`);
+  }
+  return data.entries.map((entry, i) => {
+    try {
+      return parseLibraryEntry(entry);
+    } catch (err) {
+      throw new Error(`Entry ${i + 1}: ${err.message}`);
+    }
+  });
+};
@@ -0,0 +1,149 @@
+/**
+ * Palette grid model and edit operations.
+ *
+ * The app keeps the palette as rows of `{ name, colors }`, one per category or
+ * dominant color; exports flatten them in row order. A swatch is addressed by
+ * `{ row, index }`. All operations are pure and return a new rows array.
+ *
+ * Rows may also carry lock state: `locked: true` pins the whole row and
+ * `pinned` lists the indices of individually pinned swatches. The edit
+ * operations keep `pinned` in step as swatches move, and `applyLocks` carries
+ * both over when the palette is regenerated.
+ */
+
+export const flattenRows = (rows) => rows.flatMap((row) => row.colors);
+
+export const countSwatches = (rows) =>
+  rows.reduce((total, row) => total + row.colors.length, 0);
+
+/**
+ * Splits `total` swatches between `rowCount` rows for a picker `columns`
+ * wide. When the total fills whole picker lines and there are no more rows
+ * than lines, each row gets whole lines, so rows line up with the picker;
+ * otherwise rows get equal shares. Earlier rows take what does not divide
+ * evenly, and rows past the total get 0.
+ */
+export const allotRowLengths = (total, rowCount, columns) => {
+  if (rowCount === 0) return [];
+  const lines = total / columns;
+  const [unit, units] =
+    Number.isInteger(lines) && rowCount <= lines ? [columns, lines] : [1, total];
+  const base = Math.floor(units / rowCount);
+  const extra = units % rowCount;
+  return Array.from(
+    { length: rowCount },
+    (_, i) => (base + (i < extra ? 1 : 0)) * unit
+  );
+};
+
+// Empty slots left in the last line of a picker `columns` wide
+export const countGridGaps = (count, columns) =>
+  count % columns === 0 ? 0 : columns - (count % columns);
+
+export const isPinned = (row, index) =>
+  row.locked || (row.pinned?.includes(index) ?? false);
+
+const replaceRow = (rows, rowIndex, changes) =>
+  rows.map((row, i) => (i === rowIndex ? { ...row, ...changes } : row));
+
+export const updateSwatch = (rows, { row, index }, color) =>
+  replaceRow(rows, row, {
+    colors: rows[row].colors.map((c, i) => (i === index ? color : c)),
+  });
+
+export const removeSwatch = (rows, { row, index }) => {
+  const { colors, pinned = [] } = rows[row];
+  return replaceRow(rows, row, {
+    colors: colors.filter((_, i) => i !== index),
+    pinned: pinned.filter((i) => i !== index).map((i) => (i > index ? i - 1 : i)),
+  });
+};
+
+// Inserts `color` so it ends up at `index` within the row
+export const insertSwatch = (rows, { row, index }, color, pin = false) => {
+  const { colors, pinned = [] } = rows[row];
+  const nextColors = [...colors];
+  nextColors.splice(index, 0, color);
+  const nextPinned = pinned.map((i) => (i >= index ? i + 1 : i));
+  if (pin) nextPinned.push(index);
+  return replaceRow(rows, row, {
+    colors: nextColors,
+    pinned: nextPinned.sort((a, b) => a - b),
+  });
+};
+
+export const duplicateSwatch = (rows, { row, index }) =>
+  insertSwatch(rows, { row, index: index + 1 }, [...rows[row].colors[index]]);
+
+/**
+ * Moves the swatch at `from` so it lands in front of the swatch currently at
+ * `to` (or at the end of the row when `to.index` equals the row length).
+ * A pinned swatch stays pinned. Returns the new rows and the swatch's new
+ * address.
+ */
+export const moveSwatch = (rows, from, to) => {
+  const color = rows[from.row].colors[from.index];
+  const pinned = rows[from.row].pinned?.includes(from.index) ?? false;
+  let index = to.index;
+  if (from.row === to.row && from.index < to.index) index -= 1;
+  if (from.row === to.row && index === from.index) {
+    return { rows, position: from };
+  }
+  const removed = removeSwatch(rows, from);
+  return {
+    rows: insertSwatch(removed, { row: to.row, index }, color, pinned),
+    position: { row: to.row, index },
+  };
+};
+
+export const toggleRowLock = (rows, rowIndex) =>
+  replaceRow(rows, rowIndex, { locked: !rows[rowIndex].locked });
+
+export const toggleSwatchPin = (rows, { row, index }) => {
+  const pinned = rows[row].pinned ?? [];
+  return replaceRow(rows, row, {
+    pinned: pinned.includes(index)
+      ? pinned.filter((i) => i !== index)
+      : [...pinned, index].sort((a, b) => a - b),
+  });
+};
+
+/**
+ * Merges a freshly generated palette with the locks of the previous one.
+ *
+ * Rows are matched by name. A locked row replaces its regenerated
+ * counterpart unchanged; pinned swatches overwrite the regenerated color at
+ * the same index. If the new row is too short to reach a pinned index, it is
+ * lengthened with the previous row's colors so the pin keeps its position.
+ * Rows with locks that no longer exist in the new palette are put back at
+ * their old position.
+ */
+export const applyLocks = (nextRows, prevRows) => {
+  const result = nextRows.map((row) => ({ name: row.name, colors: row.colors }));
+
+  prevRows.forEach((prev, prevIndex) => {
+    const hasPins = prev.pinned?.length > 0;
+    if (!prev.locked && !hasPins) return;
+
+    const target = result.findIndex((row) => row.name === prev.name);
+    if (target === -1) {
+      result.splice(Math.min(prevIndex, result.length), 0, prev);
+      return;
+    }
+    if (prev.locked) {
+      result[target] = prev;
+      return;
+    }
+
+    const colors = [...result[target].colors];
+    const pinned = [...prev.pinned].sort((a, b) => a - b);
+    const reach = pinned[pinned.length - 1] + 1;
+    for (let i = colors.length; i < reach; i++) colors.push(prev.colors[i]);
+    pinned.forEach((i) => {
+      colors[i] = prev.colors[i];
+    });
+    result[target] = { ...result[target], colors, pinned };
+  });
+
+  return result;
+};
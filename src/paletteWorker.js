@@ -0,0 +1,42 @@
+/**
+ * Runs the extraction pipeline off the main thread.
+ *
+ * Messages in:  `{ id, images, settings }` where `images` lists
+ *               `{ data, width, height, weight, selection }` for every
+ *               source image, `data` being the RGBA byte array of the
+ *               downscaled image and `selection` its list of region shapes.
+ * Messages out: `{ id, type: "progress", progress, stage, rows }` while
+ *               running, then `{ id, type: "done", rows }` or
+ *               `{ id, type: "error", message }`.
+ *
+ * A run cannot be interrupted from inside; the app cancels a stale run by
+ * terminating the worker and starting a fresh one.
+ */
+
+import {
+  generatePaletteRows,
+  pixelsFromImageData,
+  poolPixels,
+} from "./extract.js";
+import { rasterizeSelection } from "./selection.js";
+
+self.onmessage = ({ data: { id, images, settings } }) => {
+  try {
+    const pixels = poolPixels(
+      images.map(({ data, width, height, weight, selection }) => ({
+        pixels: pixelsFromImageData(
+          data,
+          rasterizeSelection(selection, width, height)
+        ),
+        weight,
+      }))
+    );
+    const rows = generatePaletteRows(pixels, settings, {
+      onProgress: ({ progress, stage, rows }) =>
+        self.postMessage({ id, type: "progress", progress, stage, rows }),
+    });
+    self.postMessage({ id, type: "done", rows });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,118 @@
+/**
+ * Permalinks: settings, and optionally the palette itself, packed into a URL
+ * hash so that opening the link shows what the sender saw.
+ *
+ * The hash is `#p=` and base64url JSON of `{ v, s, m, r }`. `s` holds the
+ * settings that differ from `defaultSettings` (the seed is always kept), `m`
+ * the user harmonization model they name, if any, and `r` the palette rows
+ * as `[name, "rrggbb..."]` pairs. Links without `r` only carry the recipe;
+ * the recipient loads the same image to get the same palette.
+ */
+
+import { rgbToHex } from "./color.js";
+import { defaultSettings } from "./extract.js";
+import { harmonizeModels, parseHarmonizeModel } from "./harmonize.js";
+import { parseSettings } from "./settings.js";
+
+const VERSION = 1;
+const PREFIX = "p=";
+
+const toBase64Url = (text) => {
+  let binary = "";
+  new TextEncoder().encode(text).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(
+    Uint8Array.from(binary, (c) => c.charCodeAt(0))
+  );
+};
+
+const packColors = (colors) =>
+  colors.map((color) => rgbToHex(...color).slice(1).toLowerCase()).join("");
+
+const unpackColors = (text) => {
+  if (typeof text !== "string" || !/^([0-9a-f]{6})*$/i.test(text)) {
+    throw new Error("Malformed palette colors.");
+  }
+  return Array.from({ length: text.length / 6 }, (_, i) => {
+    const n = parseInt(text.slice(i * 6, i * 6 + 6), 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+  });
+};
+
+/**
+ * The hash (without "#") for `settings`, plus `rows` if given. The model
+ * named by `settings.harmonizeModel` is looked up in `customModels` and
+ * embedded, since the recipient may not have it.
+ */
+export const encodePermalink = ({ settings, rows, customModels = {} }) => {
+  const changed = Object.fromEntries(
+    Object.entries(settings).filter(
+      ([key, value]) =>
+        key in defaultSettings &&
+        (key === "seed" ||
+          JSON.stringify(value) !== JSON.stringify(defaultSettings[key]))
+    )
+  );
+  const model = settings.harmonizeModel;
+  const data = { v: VERSION, s: changed };
+  if (model in customModels) data.m = { [model]: customModels[model] };
+  if (rows) data.r = rows.map((row) => [row.name, packColors(row.colors)]);
+  return PREFIX + toBase64Url(JSON.stringify(data));
+};
+
+/**
+ * Reads a hash written by `encodePermalink`, with or without the leading
+ * "#". Returns null for hashes that are not permalinks, and otherwise
+ * `{ settings, models, rows, ignored }`: the full settings, the embedded
+ * harmonization models, the rows or null, and the names of settings that
+ * were unknown or invalid and left at their defaults (see `parseSettings`).
+ * Throws if the link is damaged.
+ */
+export const decodePermalink = (hash) => {
+  const text = hash.replace(/^#/, "");
+  if (!text.startsWith(PREFIX)) return null;
+
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(text.slice(PREFIX.length)));
+  } catch {
+    throw new Error("The link is damaged or incomplete.");
+  }
+  if (typeof data?.s !== "object" || data.s === null) {
+    throw new Error("The link holds no settings.");
+  }
+  if (data.v > VERSION) {
+    throw new Error("The link was made by a newer version of this app.");
+  }
+
+  const { settings, ignored } = parseSettings(data.s);
+
+  const models = Object.fromEntries(
+    Object.entries(data.m ?? {})
+      .filter(([name]) => !(name in harmonizeModels))
+      .map(([name, params]) => [name, parseHarmonizeModel(name, params)])
+  );
+
+  let rows = null;
+  if (data.r !== undefined) {
+    const valid =
+      Array.isArray(data.r) &&
+      data.r.every((row) => Array.isArray(row) && typeof row[0] === "string");
+    if (!valid) throw new Error("Malformed palette rows.");
+    rows = data.r.map(([name, colors]) => ({
+      name,
+      colors: unpackColors(colors),
+    }));
+  }
+
+  return { settings, models, rows, ignored };
+};
@@ -0,0 +1,29 @@
+/**
+ * Seeded pseudo-random numbers for the palette pipeline.
+ *
+ * Every random choice (sampling, k-means seeding, variation jitter) draws from
+ * one generator created per run, so the same image, settings and seed always
+ * produce the same palette.
+ */
+
+export const MAX_SEED = 0xffffffff;
+
+// mulberry32: tiny, fast and good enough for color jitter and sampling
+export const createRng = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const randomSeed = () => Math.floor(Math.random() * (MAX_SEED + 1));
+
+export const normalizeSeed = (value) => {
+  const n = Math.floor(Number(value));
+  if (!Number.isFinite(n)) return 0;
+  return Math.min(MAX_SEED, Math.max(0, n));
+};
@@ -0,0 +1,95 @@
+/**
+ * Image regions that limit which pixels are sampled.
+ *
+ * A selection is a list of shapes drawn on the source image, applied in
+ * order: `{ type, mode, points, size }` where `type` is "rect" (two corner
+ * points), "lasso" (a closed polygon) or "brush" (a stroke of radius `size`),
+ * and `mode` is "include" or "exclude". Points are [x, y] fractions of the
+ * image width and height; the brush radius is a fraction of the longer side.
+ *
+ * With no include shapes every pixel starts selected, otherwise none does.
+ */
+
+export const selectionTools = {
+  rect: "Rectangle",
+  lasso: "Lasso",
+  brush: "Brush",
+};
+
+const inPolygon = (points, x, y) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const segmentDistance = ([ax, ay], [bx, by], x, y) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t =
+    lengthSq === 0
+      ? 0
+      : Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / lengthSq));
+  return Math.hypot(x - (ax + t * dx), y - (ay + t * dy));
+};
+
+const nearStroke = (points, radius, x, y) =>
+  points.length === 1
+    ? Math.hypot(x - points[0][0], y - points[0][1]) <= radius
+    : points
+        .slice(1)
+        .some((point, i) => segmentDistance(points[i], point, x, y) <= radius);
+
+// Returns a hit test for pixel centers in width x height pixel space
+const shapeTest = (shape, width, height) => {
+  const points = shape.points.map(([x, y]) => [x * width, y * height]);
+  switch (shape.type) {
+    case "rect": {
+      const [[x0, y0], [x1, y1]] = points;
+      const left = Math.min(x0, x1);
+      const right = Math.max(x0, x1);
+      const top = Math.min(y0, y1);
+      const bottom = Math.max(y0, y1);
+      return (x, y) => x >= left && x <= right && y >= top && y <= bottom;
+    }
+    case "lasso":
+      return (x, y) => inPolygon(points, x, y);
+    case "brush": {
+      // Keep thin strokes at least one pixel wide on the small sampling grid
+      const radius = Math.max(0.5, shape.size * Math.max(width, height));
+      return (x, y) => nearStroke(points, radius, x, y);
+    }
+    default:
+      return () => false;
+  }
+};
+
+/**
+ * Rasterizes a selection to one byte per pixel (1 = sampled) for an image of
+ * `width` x `height`. Returns null for an empty selection, meaning every
+ * pixel is sampled.
+ */
+export const rasterizeSelection = (shapes, width, height) => {
+  if (!shapes || shapes.length === 0) return null;
+
+  const hasInclude = shapes.some((shape) => shape.mode === "include");
+  const mask = new Uint8Array(width * height).fill(hasInclude ? 0 : 1);
+
+  shapes.forEach((shape) => {
+    const value = shape.mode === "include" ? 1 : 0;
+    const hits = shapeTest(shape, width, height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (hits(x + 0.5, y + 0.5)) mask[y * width + x] = value;
+      }
+    }
+  });
+
+  return mask;
+};
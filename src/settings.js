@@ -0,0 +1,148 @@
+/**
+ * Validation for settings that come from outside the app, such as shared
+ * links and library backups. Every key is checked against what the UI can
+ * produce: choices against their lists, numbers clamped to the ranges of
+ * their sliders and inputs.
+ */
+
+import { colorMetrics } from "./color.js";
+import { contrastStandards } from "./contrast.js";
+import { cvdTypes } from "./cvd.js";
+import { defaultSettings } from "./extract.js";
+import { harmonizeModels, presetHueParams } from "./harmonize.js";
+import { parseHueCategories } from "./hueCategories.js";
+import { paletteTypes, rampSpaces } from "./palette.js";
+import { MAX_SEED } from "./random.js";
+
+const choices = {
+  extractionMethod: ["categorical", "complementary"],
+  paletteType: paletteTypes,
+  colorMetric: Object.keys(colorMetrics),
+  rampSpace: Object.keys(rampSpaces),
+  contrastStandard: Object.keys(contrastStandards),
+  cvdSafe: ["none", ...Object.keys(cvdTypes)],
+};
+
+// [min, max, integer]
+const ranges = {
+  colorsPerHue: [3, 20, true],
+  dominantColorCount: [1, 16, true],
+  similarityThreshold: [0, 30, true],
+  seed: [0, MAX_SEED, true],
+  targetSize: [1, 256, true],
+  gridColumns: [1, 32, true],
+};
+
+const presetHueRanges = {
+  hue_shift: [-0.5, 0.5],
+  temperature: [-1, 1],
+  key_hue: [0, 1],
+  key_strength: [0, 1],
+};
+
+// Built-in models whose hue params `presetHue` can override
+const builtInModels = Object.keys(harmonizeModels).filter(
+  (name) => name !== "none"
+);
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const isFiniteNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value);
+
+const clamp = (value, [min, max, integer]) => {
+  const clamped = Math.min(max, Math.max(min, value));
+  return integer ? Math.round(clamped) : clamped;
+};
+
+/**
+ * `value` clamped to the range of the numeric setting `key` and rounded, for
+ * inputs that can be typed past their limits or given fractions.
+ */
+export const clampSetting = (key, value) => clamp(value, ranges[key]);
+
+const isSeedColor = (entry) =>
+  Array.isArray(entry?.color) &&
+  entry.color.length === 3 &&
+  entry.color.every((c) => Number.isInteger(c) && c >= 0 && c <= 255) &&
+  (entry.target === null || typeof entry.target === "string");
+
+// The checked value of one setting, or undefined if it cannot be used
+const parseSetting = (key, value) => {
+  if (key in choices) {
+    return choices[key].includes(value) ? value : undefined;
+  }
+  if (key in ranges) {
+    return isFiniteNumber(value) ? clamp(value, ranges[key]) : undefined;
+  }
+  switch (key) {
+    case "harmonizeModel":
+      // Unknown names fall back to "none" when harmonizing
+      return typeof value === "string" ? value : undefined;
+    case "hueCategories":
+      try {
+        return parseHueCategories(JSON.stringify(value));
+      } catch {
+        return undefined;
+      }
+    case "seedColors":
+      return Array.isArray(value) && value.every(isSeedColor)
+        ? value
+        : undefined;
+    case "presetHue": {
+      // Hue overrides by built-in model name
+      if (!isPlainObject(value)) return undefined;
+      const entries = Object.entries(value);
+      const valid = entries.every(
+        ([name, overrides]) =>
+          builtInModels.includes(name) &&
+          isPlainObject(overrides) &&
+          Object.entries(overrides).every(
+            ([param, n]) =>
+              presetHueParams.includes(param) && isFiniteNumber(n)
+          )
+      );
+      return valid
+        ? Object.fromEntries(
+            entries.map(([name, overrides]) => [
+              name,
+              Object.fromEntries(
+                Object.entries(overrides).map(([param, n]) => [
+                  param,
+                  clamp(n, presetHueRanges[param]),
+                ])
+              ),
+            ])
+          )
+        : undefined;
+    }
+    default:
+      return typeof value === "boolean" &&
+        typeof defaultSettings[key] === "boolean"
+        ? value
+        : undefined;
+  }
+};
+
+/**
+ * Full settings from untrusted `values`: each known key that passes its
+ * check is used, and everything else is left at its default. Returns
+ * `{ settings, ignored }`, `ignored` naming the keys that were dropped.
+ */
+export const parseSettings = (values) => {
+  const settings = { ...defaultSettings };
+  const ignored = [];
+  if (!isPlainObject(values)) {
+    return { settings, ignored };
+  }
+  Object.entries(values).forEach(([key, value]) => {
+    const parsed = key in defaultSettings ? parseSetting(key, value) : undefined;
+    if (parsed === undefined) {
+      ignored.push(key);
+    } else {
+      settings[key] = parsed;
+    }
+  });
+  return { settings, ignored };
+};
@@ -0,0 +1,34 @@
+import { useEffect, useState } from "react";
+
+/**
+ * useState that is saved to localStorage under `key`. `serialize` and
+ * `parse` convert the value to and from text; `parse` may throw, and
+ * unreadable or missing data falls back to `initial`.
+ */
+const useLocalStorageState = (
+  key,
+  initial,
+  { parse = JSON.parse, serialize = JSON.stringify } = {}
+) => {
+  const [value, setValue] = useState(() => {
+    try {
+      const stored = localStorage.getItem(key);
+      return stored === null ? initial : parse(stored);
+    } catch (err) {
+      console.error(`Ignoring stored ${key}:`, err.message);
+      return initial;
+    }
+  });
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(key, serialize(value));
+    } catch (err) {
+      console.error(`Failed to save ${key}:`, err.message);
+    }
+  }, [key, value, serialize]);
+
+  return [value, setValue];
+};
+
+export default useLocalStorageState;
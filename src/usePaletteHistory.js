@@ -0,0 +1,163 @@
+import { useCallback, useReducer } from "react";
+import { applyLocks } from "./paletteRows.js";
+
+/**
+ * Undo history for the palette and the settings that produced it.
+ *
+ * Every entry is a full snapshot `{ id, label, settings, palette }`, so any
+ * entry can be restored directly. The current palette is always the palette
+ * of the entry at `index`; committing after an undo drops the redo branch.
+ *
+ * Commits with the same `mergeKey` arriving within MERGE_WINDOW_MS replace the
+ * previous entry instead of adding one, so dragging a slider or a picker
+ * channel leaves a single step behind rather than dozens.
+ */
+
+const settingLabels = {
+  extractionMethod: "Extraction method",
+  paletteType: "Palette type",
+  colorsPerHue: "Colors per group",
+  dominantColorCount: "Dominant colors",
+  similarityThreshold: "Similarity filter",
+  useAdaptiveThreshold: "Auto-adjust",
+  fillMissingHues: "Fill missing hues",
+  excludeNeutrals: "Exclude neutrals",
+  harmonizeModel: "Harmonization",
+  presetHue: "Preset hue",
+  colorMetric: "Metric",
+  rampSpace: "Ramp space",
+  seed: "Seed",
+  hueCategories: "Hue categories",
+  seedColors: "Picked colors",
+  contrastStandard: "Contrast standard",
+  fixContrast: "Fix contrast",
+  cvdSafe: "CVD-safe",
+  exactSize: "Exact size",
+  targetSize: "Total colors",
+  gridColumns: "Picker columns",
+};
+
+// Labels a settings change for the timeline, or returns null if nothing changed
+const describeSettingsChange = (prev, next) => {
+  if (!prev) return null;
+  const changed = Object.keys(next).filter((key) => prev[key] !== next[key]);
+  if (changed.length === 0) return null;
+  if (changed.length > 1) return { label: "Changed settings" };
+
+  const [key] = changed;
+  const value = next[key];
+  let shown = String(value);
+  if (typeof value === "boolean") shown = value ? "on" : "off";
+  if (Array.isArray(value)) shown = value.length;
+  const label = settingLabels[key] ?? key;
+  return {
+    label:
+      typeof value === "object" && !Array.isArray(value)
+        ? `Changed ${label.toLowerCase()}`
+        : `${label}: ${shown}`,
+    mergeKey: `setting:${key}`,
+  };
+};
+
+const MAX_ENTRIES = 100;
+const MERGE_WINDOW_MS = 1500;
+
+const initialState = { entries: [], index: -1, nextId: 1 };
+
+const currentPalette = (state) => state.entries[state.index]?.palette ?? [];
+
+const push = (state, { palette, settings, label, mergeKey, time }) => {
+  const current = state.entries[state.index];
+  if (current && palette === current.palette && settings === current.settings) {
+    return state;
+  }
+
+  const entries = state.entries.slice(0, state.index + 1);
+  const entry = { id: state.nextId, label, settings, palette, mergeKey, time };
+  const merge =
+    current &&
+    mergeKey &&
+    current.mergeKey === mergeKey &&
+    time - current.time < MERGE_WINDOW_MS;
+
+  if (merge) {
+    entries[entries.length - 1] = entry;
+  } else {
+    entries.push(entry);
+  }
+  const trimmed = entries.slice(-MAX_ENTRIES);
+  return { entries: trimmed, index: trimmed.length - 1, nextId: state.nextId + 1 };
+};
+
+const reducer = (state, action) => {
+  switch (action.type) {
+    case "commit": {
+      const palette =
+        typeof action.palette === "function"
+          ? action.palette(currentPalette(state))
+          : action.palette;
+      return push(state, { ...action, palette });
+    }
+    // A regenerated palette keeps the locks of the one it replaces. It is
+    // labelled after the settings change that caused it, if there was one.
+    case "generated": {
+      const change = describeSettingsChange(
+        state.entries[state.index]?.settings,
+        action.settings
+      );
+      return push(state, {
+        ...action,
+        label: change?.label ?? action.label,
+        mergeKey: change?.mergeKey,
+        palette: applyLocks(action.rows, currentPalette(state)),
+      });
+    }
+    case "jump":
+      if (action.index < 0 || action.index >= state.entries.length) {
+        return state;
+      }
+      return { ...state, index: action.index };
+    default:
+      return state;
+  }
+};
+
+const usePaletteHistory = () => {
+  const [state, dispatch] = useReducer(reducer, initialState);
+
+  // `palette` may be an updater function of the current palette
+  const commit = useCallback(
+    (palette, settings, label, mergeKey) =>
+      dispatch({
+        type: "commit",
+        palette,
+        settings,
+        label,
+        mergeKey,
+        time: Date.now(),
+      }),
+    []
+  );
+
+  // `label` is used when the settings did not change (e.g. a new image)
+  const commitGenerated = useCallback(
+    (rows, settings, label) =>
+      dispatch({ type: "generated", rows, settings, label, time: Date.now() }),
+    []
+  );
+
+  const jump = useCallback((index) => dispatch({ type: "jump", index }), []);
+
+  return {
+    entries: state.entries,
+    index: state.index,
+    current: state.entries[state.index] ?? null,
+    canUndo: state.index > 0,
+    canRedo: state.index < state.entries.length - 1,
+    commit,
+    commitGenerated,
+    jump,
+  };
+};
+
+export default usePaletteHistory;
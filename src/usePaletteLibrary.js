@@ -0,0 +1,88 @@
+import { useCallback, useEffect, useState } from "react";
+
+const DB_NAME = "s1-palette";
+const STORE = "library";
+
+const whenDone = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+let database = null;
+
+const openDatabase = () => {
+  if (!database) {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () =>
+      request.result.createObjectStore(STORE, { keyPath: "id" });
+    database = whenDone(request);
+  }
+  return database;
+};
+
+// Runs `write(store)` in a read-write transaction and waits for it to commit
+const writeStore = async (write) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE, "readwrite");
+  write(transaction.objectStore(STORE));
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const replaceEntries = (entries, changed) => {
+  const ids = new Set(changed.map((entry) => entry.id));
+  return [...entries.filter((entry) => !ids.has(entry.id)), ...changed];
+};
+
+/**
+ * The saved palette library (see paletteLibrary.js), kept in IndexedDB.
+ * `entries` is empty until the database is read; `error` is set when it
+ * cannot be opened, e.g. in private browsing.
+ */
+const usePaletteLibrary = () => {
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    // indexedDB.open throws outright where storage is blocked
+    Promise.resolve()
+      .then(openDatabase)
+      .then((db) => whenDone(db.transaction(STORE).objectStore(STORE).getAll()))
+      .then(setEntries)
+      .catch((err) => {
+        console.error("Failed to open the palette library:", err?.message);
+        setError("The palette library is not available in this browser.");
+      });
+  }, []);
+
+  // Adds entries, replacing ones with the same id
+  const save = useCallback(async (...changed) => {
+    try {
+      await writeStore((store) => changed.forEach((entry) => store.put(entry)));
+      setEntries((prev) => replaceEntries(prev, changed));
+      setError(null);
+    } catch (err) {
+      console.error("Failed to save to the palette library:", err?.message);
+      setError("Saving to the palette library failed.");
+    }
+  }, []);
+
+  const remove = useCallback(async (id) => {
+    try {
+      await writeStore((store) => store.delete(id));
+      setEntries((prev) => prev.filter((entry) => entry.id !== id));
+      setError(null);
+    } catch (err) {
+      console.error("Failed to delete from the palette library:", err?.message);
+      setError("Deleting from the palette library failed.");
+    }
+  }, []);
+
+  return { entries, error, save, remove };
+};
+
+export default usePaletteLibrary;